@@ -0,0 +1,111 @@
+// Accessibility helpers: spoken piece names, live-region announcements and
+// focus trapping for popups.
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// Operator names plus the words for an empty equation, a minus sign and a
+// fraction bar. Catalogs for other languages give their own (see i18n.js).
+export const SPOKEN_NAMES = {
+    '+': 'plus',
+    '-': 'minus',
+    '*': 'times',
+    '/': 'divided by',
+    '^': 'to the power of',
+    '(': 'open parenthesis',
+    ')': 'close parenthesis',
+    empty: 'empty',
+    negative: 'negative',
+    over: 'over'
+};
+
+export const speakToken = (tok, names = SPOKEN_NAMES) => names[tok] ?? tok;
+
+export const speakTokens = (tokens, names = SPOKEN_NAMES) =>
+    (tokens.length ? tokens.map(tok => speakToken(tok, names)).join(' ') : names.empty);
+
+// Targets and results: "-7/2" reads as "negative 7 over 2"
+export const speakNumber = (value, names = SPOKEN_NAMES) => String(value)
+    .replace(/^-/, `${names.negative} `)
+    .replace('/', ` ${names.over} `);
+
+// Keys that take a piece, mapped to the piece they stand for
+export const KEY_TO_TOKEN = {
+    '+': '+',
+    '-': '-',
+    '*': '*',
+    'x': '*',
+    'X': '*',
+    '/': '/',
+    '^': '^',
+    '(': '(',
+    ')': ')'
+};
+
+// Returns [messages, announce]. Render messages.polite / messages.assertive
+// into aria-live regions; repeating the same text is still re-announced.
+export const useAnnouncer = () => {
+    const [messages, setMessages] = useState({ polite: '', assertive: '' });
+    const timerRef = useRef(null);
+
+    const announce = useCallback((text, { assertive = false } = {}) => {
+        const channel = assertive ? 'assertive' : 'polite';
+        setMessages(m => ({ ...m, [channel]: '' }));
+        clearTimeout(timerRef.current);
+        timerRef.current = setTimeout(() => setMessages(m => ({ ...m, [channel]: text })), 50);
+    }, []);
+
+    useEffect(() => () => clearTimeout(timerRef.current), []);
+
+    return [messages, announce];
+};
+
+const FOCUSABLE = 'button:not([disabled]), [href], input:not([disabled]), select, textarea, [tabindex]:not([tabindex="-1"])';
+
+// Keeps Tab inside containerRef while `active` (any truthy key that changes
+// per popup), focuses the first control and restores focus on close.
+export const useFocusTrap = (containerRef, active, onEscape) => {
+    const onEscapeRef = useRef(onEscape);
+    onEscapeRef.current = onEscape;
+
+    useEffect(() => {
+        const container = containerRef.current;
+        if (!active || !container) return undefined;
+
+        const previous = document.activeElement;
+        const focusables = () => [...container.querySelectorAll(FOCUSABLE)];
+        const initial = container.querySelector('.popup-btn.primary') || focusables()[0] || container;
+        initial.focus();
+
+        const handleKey = (e) => {
+            if (e.key === 'Escape' && onEscapeRef.current) {
+                e.preventDefault();
+                onEscapeRef.current();
+                return;
+            }
+            if (e.key !== 'Tab') return;
+            const items = focusables();
+            if (!items.length) {
+                e.preventDefault();
+                return;
+            }
+            const first = items[0];
+            const last = items[items.length - 1];
+            if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            } else if (!container.contains(document.activeElement)) {
+                e.preventDefault();
+                first.focus();
+            }
+        };
+
+        document.addEventListener('keydown', handleKey);
+        return () => {
+            document.removeEventListener('keydown', handleKey);
+            if (previous && previous.focus && document.contains(previous)) previous.focus();
+        };
+    }, [containerRef, active]);
+};
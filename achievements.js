@@ -0,0 +1,98 @@
+// Badges for the student to collect. Each badge is a rule over the facts of
+// a finished round and the tallies kept across rounds:
+//
+//   { id, icon, when: { fact: value | { atLeast } | { moreThan } } }
+//
+// The rule holds when every condition does. Round facts are solved, hints,
+// revealed, wrongChecks, secondsLeft (null without a round clock), pieces,
+// divisions and powers (the numbers and operators in the answer; spare
+// pieces left in the tray do not count), level and daily. A badge, once unlocked, stays.
+
+// Tallies kept across rounds. Each grows on rounds matching `when`, by the
+// round fact named in `add` or else by one; a `streak` starts over on any
+// round that does not match.
+export const TALLIES = {
+    solves: { when: { solved: true } },
+    cleanStreak: { when: { solved: true, hints: 0 }, streak: true },
+    divisionsUsed: { when: { solved: true }, add: 'divisions' }
+};
+
+export const ACHIEVEMENTS = [
+    { id: 'first-solve', icon: '⭐', when: { solves: { atLeast: 1 } } },
+    { id: 'ten-solves', icon: '🏅', when: { solves: { atLeast: 10 } } },
+    { id: 'fifty-solves', icon: '🏆', when: { solves: { atLeast: 50 } } },
+    { id: 'no-hints-five', icon: '🧠', when: { cleanStreak: { atLeast: 5 } } },
+    { id: 'first-try', icon: '🎯', when: { solved: true, hints: 0, wrongChecks: 0 } },
+    { id: 'six-pieces', icon: '🧩', when: { solved: true, pieces: { atLeast: 6 } } },
+    { id: 'quick', icon: '⚡', when: { solved: true, secondsLeft: { moreThan: 30 } } },
+    { id: 'divider', icon: '➗', when: { divisionsUsed: { atLeast: 10 } } },
+    { id: 'powers', icon: '🚀', when: { solved: true, powers: { atLeast: 1 } } },
+    { id: 'comeback', icon: '💪', when: { solved: true, wrongChecks: { atLeast: 3 } } },
+    { id: 'daily', icon: '📅', when: { solved: true, daily: true } },
+    { id: 'level-ten', icon: '🏔️', when: { solved: true, level: { atLeast: 10 } } }
+];
+
+// `unlocked` maps badge ids to when they were unlocked
+export const createAchievementState = () => ({ tallies: {}, unlocked: {} });
+
+export const restoreAchievementState = (saved) => ({
+    tallies: { ...saved?.tallies },
+    unlocked: { ...saved?.unlocked }
+});
+
+const holds = (when, facts) => Object.entries(when).every(([name, test]) => {
+    const value = facts[name];
+    if (test === null || typeof test !== 'object') return value === test;
+    if (typeof value !== 'number') return false;
+    if ('atLeast' in test && value < test.atLeast) return false;
+    if ('moreThan' in test && value <= test.moreThan) return false;
+    return true;
+});
+
+// The facts of a finished round (see above). A solve after the solution
+// was revealed copied the answer, and counts as no solve at all.
+export const roundFacts = ({ solved, revealed, hints, wrongChecks, secondsLeft = null, answer = [], level, daily = false }) => ({
+    solved: solved && !revealed,
+    revealed,
+    hints,
+    wrongChecks,
+    pieces: answer.filter(tok => /^\d+$/.test(tok)).length,
+    secondsLeft,
+    divisions: answer.filter(tok => tok === '/').length,
+    powers: answer.filter(tok => tok === '^').length,
+    level,
+    daily
+});
+
+// Returns { state, unlocked } with the badges this round unlocked
+export const recordAchievements = (state, facts, now = Date.now()) => {
+    const tallies = { ...state.tallies };
+    for (const [name, tally] of Object.entries(TALLIES)) {
+        if (holds(tally.when, facts)) tallies[name] = (tallies[name] || 0) + (tally.add ? facts[tally.add] : 1);
+        else if (tally.streak) tallies[name] = 0;
+    }
+    const unlocked = ACHIEVEMENTS.filter(badge => !state.unlocked[badge.id] && holds(badge.when, { ...facts, ...tallies }));
+    return {
+        state: { tallies, unlocked: { ...state.unlocked, ...Object.fromEntries(unlocked.map(badge => [badge.id, now])) } },
+        unlocked
+    };
+};
+
+// How far a badge that counts up a tally has got, { current, goal }; null
+// for badges a single round unlocks
+export const achievementProgress = (badge, state) => {
+    const conditions = Object.entries(badge.when);
+    if (conditions.length !== 1) return null;
+    const [name, test] = conditions[0];
+    if (!TALLIES[name] || !test?.atLeast) return null;
+    return { current: Math.min(state.tallies[name] || 0, test.atLeast), goal: test.atLeast };
+};
+
+// The number a badge's rule asks for, which its description quotes: the
+// first threshold in `when`, or null
+export const achievementGoal = (badge) => {
+    for (const test of Object.values(badge.when)) {
+        if (test && typeof test === 'object') return test.atLeast ?? test.moreThan;
+    }
+    return null;
+};
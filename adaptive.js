@@ -0,0 +1,80 @@
+// Per-student adaptive difficulty. A single skill rating drifts up after
+// quick, clean solves and down after struggles; the level's fixed rules are
+// then shifted by that rating. The state is plain JSON so it can be saved
+// with the rest of the progress.
+
+import {
+    getMaxNumberForLevel,
+    getNumberCeiling,
+    getOperatorWeights,
+    getPieceCountForLevel,
+    getTimerDurationForLevel
+} from './engine.js';
+
+export const SKILL_LIMIT = 3;
+const HISTORY_SIZE = 10;
+const LEARNING_RATE = 0.5;
+const MIN_TIMER = 20;
+
+const EASY_WEIGHTS = getOperatorWeights(1);
+// From level 7 on the operator mix only changes when a tier adds powers
+const HARDEST_MIX_LEVEL = 7;
+
+const clamp = (x, lo, hi) => Math.min(hi, Math.max(lo, x));
+
+export const createAdaptiveState = () => ({ skill: 0, rounds: [] });
+
+// Tolerates missing or older saved shapes
+export const restoreAdaptiveState = (saved) => ({
+    skill: clamp(Number(saved?.skill) || 0, -SKILL_LIMIT, SKILL_LIMIT),
+    rounds: Array.isArray(saved?.rounds) ? saved.rounds.slice(-HISTORY_SIZE) : []
+});
+
+// How well one round went, from -1 (gave up / ran out) to 1 (fast and clean).
+// Solving in about a third of the time with no help is neutral.
+export const ratePerformance = ({ solved, solveTime, timeLimit, wrongChecks = 0, hintsUsed = 0, revealed = false }) => {
+    if (!solved || revealed) return -1;
+    const speed = clamp(1 - solveTime / timeLimit, 0, 1);
+    const perf = (speed - 0.65) * 2 - wrongChecks * 0.3 - hintsUsed * 0.4;
+    return clamp(perf, -1, 1);
+};
+
+export const recordRound = (state, round) => {
+    const perf = ratePerformance(round);
+    const entry = {
+        solved: !!round.solved,
+        solveTime: round.solveTime,
+        wrongChecks: round.wrongChecks || 0,
+        hintsUsed: round.hintsUsed || 0,
+        revealed: !!round.revealed,
+        perf: Math.round(perf * 100) / 100
+    };
+    const skill = clamp(state.skill + perf * LEARNING_RATE, -SKILL_LIMIT, SKILL_LIMIT);
+    return {
+        skill: Math.round(skill * 100) / 100,
+        rounds: [...state.rounds, entry].slice(-HISTORY_SIZE)
+    };
+};
+
+const blendWeights = (from, to, t) => {
+    const weights = {};
+    for (const op of Object.keys(from)) weights[op] = from[op] + ((to[op] ?? 0) - from[op]) * t;
+    return weights;
+};
+
+// Level rules shifted by the student's skill: more and bigger numbers,
+// more × and ÷ and less time for strong students; the reverse for
+// struggling ones. `baseTimer` is the first levels' time in seconds.
+export const getAdaptiveDifficulty = (level, state, { baseTimer } = {}) => {
+    const skill = state ? state.skill : 0;
+    const t = clamp(skill / SKILL_LIMIT, -1, 1);
+    const baseWeights = getOperatorWeights(level);
+    const hardWeights = getOperatorWeights(Math.max(level, HARDEST_MIX_LEVEL));
+
+    return {
+        pieceCount: clamp(getPieceCountForLevel(level) + Math.round(skill / 1.5), 3, 6),
+        maxNumber: clamp(getMaxNumberForLevel(level) + Math.round(skill), 2, getNumberCeiling(level)),
+        opWeights: t >= 0 ? blendWeights(baseWeights, hardWeights, t) : blendWeights(baseWeights, EASY_WEIGHTS, -t),
+        timerSeconds: Math.max(MIN_TIMER, Math.round(getTimerDurationForLevel(level, baseTimer) * (1 - skill * 0.1)))
+    };
+};
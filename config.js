@@ -0,0 +1,93 @@
+// What a host page can set through SuperStudent's props. Every field is
+// optional; without props the game behaves as the stand-alone page always
+// has.
+//
+//   gameName    names the saved progress and the server records
+//   storage     localStorage-like { getItem, setItem } for the copy on
+//               this device and the language picked. The round in
+//               progress is not kept there: it always goes to the tab's
+//               sessionStorage (see roundStore.js)
+//   endpoints   { getProgress, saveProgress, gameEnd } server URLs;
+//               getProgress gets "/<game name>" appended
+//   request     fetch-like (url, options) => Promise<Response>, e.g. to add
+//               auth headers
+//   difficulty  { baseTimer, adaptive, maxSolutions, practiceEvery }
+//   startLevel  where a student with no saved progress starts
+//   mode        the mode to start in, overriding the last one played
+//   locale      the language to start in ('en', 'es', 'ar'), until the
+//               student picks one; by default the browser's
+//   raceTransport
+//               (room) => transport for race rooms; by default the tabs of
+//               this browser (see race.js)
+//   onRoundComplete(round), onProgress(progress), onExit({ rounds, session })
+//               onExit replaces the redirect to /games; `session` is the
+//               session log (see sessionLog.js)
+
+import { BASE_TIMER_SECONDS } from './engine.js';
+import { LOCALES } from './i18n.js';
+import { MODES } from './modes.js';
+import { DEFAULT_ENDPOINTS } from './progressStore.js';
+import { defaultRaceTransport } from './race.js';
+
+export const DEFAULT_GAME_NAME = 'Equation Builder';
+export const DEFAULT_EXIT_URL = '/games';
+
+export const DEFAULT_DIFFICULTY = {
+    // Seconds a round gets at the first levels; later levels and the
+    // adaptive rating adjust from there
+    baseTimer: BASE_TIMER_SECONDS,
+    // Whether puzzles follow the student's adaptive rating or only the level
+    adaptive: true,
+    // Puzzles with more different solutions than this are regenerated;
+    // reordering the terms of a sum or a product is not a different one
+    maxSolutions: 60,
+    // Every nth generated puzzle practises the student's weakest misconception
+    practiceEvery: 3
+};
+
+// Props are resolved on every render; each problem is reported once
+const warned = new Set();
+const warnOnce = (message) => {
+    if (warned.has(message)) return;
+    warned.add(message);
+    console.warn(message);
+};
+
+const positiveInteger = (value, fallback, name) => {
+    if (value === undefined) return fallback;
+    if (Number.isInteger(value) && value > 0) return value;
+    warnOnce(`${name} must be a whole number above 0; using ${fallback}.`);
+    return fallback;
+};
+
+// Props with defaults filled in. Bad values fall back to the default with
+// a warning rather than breaking the game inside someone else's page.
+export const resolveConfig = (props = {}) => {
+    const difficulty = { ...DEFAULT_DIFFICULTY, ...props.difficulty };
+    const pickable = MODES[props.mode] && !MODES[props.mode].roomOnly;
+    if (props.mode && !pickable) warnOnce(`"${props.mode}" is not a mode to start in; ignored.`);
+    const knownLocale = !!LOCALES[props.locale];
+    if (props.locale && !knownLocale) warnOnce(`"${props.locale}" is not a supported locale; ignored.`);
+    return {
+        gameName: props.gameName || DEFAULT_GAME_NAME,
+        // Left undefined, the store's own defaults apply
+        storage: props.storage || undefined,
+        endpoints: { ...DEFAULT_ENDPOINTS, ...props.endpoints },
+        request: props.request || undefined,
+        difficulty: {
+            baseTimer: positiveInteger(difficulty.baseTimer, DEFAULT_DIFFICULTY.baseTimer, 'difficulty.baseTimer'),
+            adaptive: difficulty.adaptive !== false,
+            maxSolutions: positiveInteger(difficulty.maxSolutions, DEFAULT_DIFFICULTY.maxSolutions, 'difficulty.maxSolutions'),
+            practiceEvery: positiveInteger(difficulty.practiceEvery, DEFAULT_DIFFICULTY.practiceEvery, 'difficulty.practiceEvery')
+        },
+        startLevel: positiveInteger(props.startLevel, 1, 'startLevel'),
+        // null leaves the mode to the student's saved progress
+        mode: pickable ? props.mode : null,
+        // null leaves the language to the student's pick or the browser
+        locale: knownLocale ? props.locale : null,
+        raceTransport: props.raceTransport || defaultRaceTransport,
+        onRoundComplete: props.onRoundComplete || null,
+        onProgress: props.onProgress || null,
+        onExit: props.onExit || null
+    };
+};
@@ -0,0 +1,94 @@
+// Pointer-based drag and drop for pieces. Pointer events cover mouse, pen
+// and touch alike; HTML5 drag events are avoided because they never fire
+// for touch on most tablets.
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// Movement (px) before a press becomes a drag rather than a click
+const DRAG_THRESHOLD = 6;
+
+// Insertion index for a drop at clientX among the zone's [data-eq-index] tokens
+export const findInsertIndex = (zone, clientX) => {
+    const tokens = [...zone.querySelectorAll('[data-eq-index]')];
+    for (const el of tokens) {
+        const rect = el.getBoundingClientRect();
+        if (clientX < rect.left + rect.width / 2) return Number(el.dataset.eqIndex);
+    }
+    return tokens.length;
+};
+
+const locateDrop = (x, y) => {
+    const el = document.elementFromPoint(x, y);
+    const zone = el && el.closest('[data-drop-zone]');
+    if (!zone) return null;
+    const name = zone.dataset.dropZone;
+    return { zone: name, insertAt: name === 'equation' ? findInsertIndex(zone, x) : null };
+};
+
+// onDrop({ source, index }, { zone, insertAt }) runs when a drag ends over a
+// drop zone. Clicks that end a drag are swallowed via consumeClick().
+export const useTokenDrag = (onDrop) => {
+    const [drag, setDrag] = useState(null);
+    const pendingRef = useRef(null);
+    const suppressClickRef = useRef(false);
+    const onDropRef = useRef(onDrop);
+    onDropRef.current = onDrop;
+
+    const startHandler = useCallback((source, index, token) => (e) => {
+        if (e.button !== undefined && e.button !== 0) return;
+        // A drag that ended off its element never produced a click to swallow
+        suppressClickRef.current = false;
+        pendingRef.current = { source, index, token, startX: e.clientX, startY: e.clientY, active: false };
+        if (e.currentTarget.setPointerCapture && e.pointerId !== undefined) {
+            e.currentTarget.setPointerCapture(e.pointerId);
+        }
+    }, []);
+
+    useEffect(() => {
+        const handleMove = (e) => {
+            const p = pendingRef.current;
+            if (!p) return;
+            if (!p.active) {
+                const moved = Math.hypot(e.clientX - p.startX, e.clientY - p.startY);
+                if (moved < DRAG_THRESHOLD) return;
+                p.active = true;
+            }
+            e.preventDefault();
+            setDrag({
+                source: p.source,
+                index: p.index,
+                token: p.token,
+                x: e.clientX,
+                y: e.clientY,
+                over: locateDrop(e.clientX, e.clientY)
+            });
+        };
+
+        const handleUp = (e) => {
+            const p = pendingRef.current;
+            pendingRef.current = null;
+            if (!p || !p.active) return;
+            suppressClickRef.current = true;
+            setDrag(null);
+            const target = e.type === 'pointerup' ? locateDrop(e.clientX, e.clientY) : null;
+            if (target) onDropRef.current({ source: p.source, index: p.index }, target);
+        };
+
+        window.addEventListener('pointermove', handleMove, { passive: false });
+        window.addEventListener('pointerup', handleUp);
+        window.addEventListener('pointercancel', handleUp);
+        return () => {
+            window.removeEventListener('pointermove', handleMove);
+            window.removeEventListener('pointerup', handleUp);
+            window.removeEventListener('pointercancel', handleUp);
+        };
+    }, []);
+
+    const consumeClick = useCallback(() => {
+        const suppressed = suppressClickRef.current;
+        suppressClickRef.current = false;
+        return suppressed;
+    }, []);
+
+    return { drag, startHandler, consumeClick };
+};
@@ -0,0 +1,451 @@
+// Headless puzzle engine: generation and grading without React or the DOM.
+// Every random choice goes through a seeded generator, so a (seed, level)
+// pair always yields the same puzzle.
+
+import { applyOp, equals, evaluate, evaluateAst, isInteger, negate, parse, parseRational, rational, toNumber, toTarget } from './expression.js';
+import { countDistinctSolutions, rateDifficulty, solvePuzzle } from './solver.js';
+import { buildHintLadder } from './hints.js';
+import { MISCONCEPTIONS, canPractise, classifyMistake, exercises } from './misconceptions.js';
+import { getContentForLevel, getTierUnlockLevel } from './tiers.js';
+
+export const OPS = ['+', '-', '*', '/'];
+export const ATTEMPT_LIMIT = 400;
+// Smaller than the solver default: generation may run it for several candidates
+const AMBIGUITY_BUDGET = 50000;
+// Arrangements a round keeps for "Another solution"; the rating counts them all
+const LISTED_SOLUTIONS = 20;
+const RESHUFFLE_LIMIT = 20;
+
+const MAX_TWO_DIGIT = 25;
+// Fractional targets stay ones a student can picture, like 7/2 or -5/3
+const MAX_DENOMINATOR = 12;
+const MAX_FRACTION_TARGET = 20;
+// Share of puzzles at the fractions tier that get a fractional target
+const FRACTION_SHARE = 0.5;
+const NEGATION_CHANCE = 0.5;
+// Generated powers stay small enough to work out in your head
+const MAX_POWER_BASE = 12;
+const POWER_MISS_LIMIT = 8;
+// Candidates tried for a practice puzzle before settling for an ordinary one
+const PRACTICE_TRIES = 8;
+// Before two-digit numbers unlock, no step of the intended answer goes past this
+const MAX_LOW_LEVEL_VALUE = 100;
+// Share of the attempts that must also avoid the puzzles already handed out;
+// past it a repeat beats the hard-coded fallback
+const FRESH_SHARE = 0.75;
+
+const FALLBACK_EXPR = '(3+4)*2';
+
+// --- Seeded Random ---
+export const hashSeed = (seed) => {
+    if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+    // FNV-1a over the string form, so any label can be used as a seed
+    let h = 0x811c9dc5;
+    for (const ch of String(seed)) {
+        h ^= ch.charCodeAt(0);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+};
+
+// mulberry32: small, fast and good enough for puzzle generation
+export const createRng = (seed) => {
+    let a = hashSeed(seed);
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+export const randomSeed = () => Math.floor(Math.random() * 4294967296);
+
+// Seeds are shown to students as short codes so reported puzzles can be reproduced
+export const formatSeed = (seed) => hashSeed(seed).toString(36).toUpperCase();
+export const parseSeed = (code) => {
+    const n = parseInt(String(code).trim(), 36);
+    return Number.isFinite(n) ? n >>> 0 : null;
+};
+
+// --- Utils ---
+export const randInt = (rng, a, b) => Math.floor(rng() * (b - a + 1)) + a;
+
+export const shuffleArray = (arr, rng = Math.random) => {
+    const newArr = [...arr];
+    for (let i = newArr.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [newArr[i], newArr[j]] = [newArr[j], newArr[i]];
+    }
+    return newArr;
+};
+
+export const tokenize = (expr) => {
+    const re = /(\d+|\+|\-|\*|\/|\^|\(|\))/g;
+    return expr.match(re) || [];
+};
+
+// --- Level Rules ---
+export const getPieceCountForLevel = (level) => Math.min(3 + Math.floor((level - 1) / 3), 6);
+
+// Largest number any piece may hold at this level, whatever the adjustments
+export const getNumberCeiling = (level) => (getContentForLevel(level).twoDigit ? MAX_TWO_DIGIT : 9);
+
+export const getMaxNumberForLevel = (level) => {
+    if (!getContentForLevel(level).twoDigit) return Math.min(9, 3 + Math.floor(level / 2));
+    return Math.min(MAX_TWO_DIGIT, 9 + 2 * (level - getTierUnlockLevel('twoDigit') + 1));
+};
+
+export const getOperatorWeights = (level) => {
+    if (level <= 3) return { '+': 0.5, '-': 0.3, '*': 0.15, '/': 0.05 };
+    if (level <= 6) return { '+': 0.3, '-': 0.2, '*': 0.35, '/': 0.15 };
+    if (!getContentForLevel(level).powers) return { '+': 0.2, '-': 0.15, '*': 0.3, '/': 0.35 };
+    return { '+': 0.18, '-': 0.14, '*': 0.28, '/': 0.28, '^': 0.12 };
+};
+
+// Operators that wait for a content tier
+const OPERATOR_TIERS = { '^': 'powers' };
+
+// A weight table without the operators `content` has not unlocked, scaled
+// back up to sum to one
+const unlockedWeights = (weights, content) => {
+    const kept = Object.entries(weights).filter(([op]) => !OPERATOR_TIERS[op] || content[OPERATOR_TIERS[op]]);
+    const sum = kept.reduce((s, [, weight]) => s + weight, 0);
+    return Object.fromEntries(kept.map(([op, weight]) => [op, weight / sum]));
+};
+
+export const getWeightedRandomOperator = (weights, rng = Math.random) => {
+    const random = rng();
+    let cumulative = 0;
+    for (const [op, weight] of Object.entries(weights)) {
+        cumulative += weight;
+        if (random <= cumulative) return op;
+    }
+    return '+';
+};
+
+// Seconds a round gets at the first levels, unless the host sets its own
+export const BASE_TIMER_SECONDS = 60;
+
+export const getTimerDurationForLevel = (level, baseTime = BASE_TIMER_SECONDS) => {
+    const timeBonus = Math.max(0, 10 - (level - 1) * 2);
+    return Math.max(Math.round(baseTime / 2), baseTime + timeBonus);
+};
+
+// --- Generation ---
+const isSmallExponent = (r) => isInteger(r) && r.n >= 2 && r.n <= 3;
+
+const combine = (op, a, b) => {
+    if (op === '^' && (!isSmallExponent(b.value) || Math.abs(toNumber(a.value)) > MAX_POWER_BASE)) return null;
+    return applyOp(op, a.value, b.value);
+};
+
+// With `negatives`, one number may start out negated, which puts a unary
+// minus among the pieces.
+export const buildRandomExpr = (numbers, ops, rng = Math.random, { negatives = false } = {}) => {
+    let items = numbers.map(n => ({ expr: String(n), value: rational(n) }));
+    if (negatives && rng() < NEGATION_CHANCE) {
+        const k = randInt(rng, 0, items.length - 1);
+        items[k] = { expr: `(-${items[k].expr})`, value: negate(items[k].value) };
+    }
+    const opsCopy = [...ops];
+    let powerMisses = 0;
+    while (items.length > 1) {
+        const i = randInt(rng, 0, items.length - 1);
+        let j = randInt(rng, 0, items.length - 1);
+        while (j === i) j = randInt(rng, 0, items.length - 1);
+        const op = opsCopy.shift() ?? OPS[Math.floor(rng() * OPS.length)];
+        const leftFirst = rng() < 0.5;
+        let a = leftFirst ? items[i] : items[j];
+        let b = leftFirst ? items[j] : items[i];
+        if (op === '^' && !isSmallExponent(b.value)) [a, b] = [b, a];
+        const newExpr = '(' + a.expr + op + b.expr + ')';
+        const newVal = combine(op, a, b);
+        if (!newVal) {
+            // A power no pair can take turns into a multiplication
+            const giveUp = op === '^' && ++powerMisses > POWER_MISS_LIMIT;
+            opsCopy.unshift(giveUp ? '*' : op);
+            items = shuffleArray(items, rng);
+            continue;
+        }
+        const idxs = [i, j].sort((x, y) => y - x);
+        idxs.forEach(idx => items.splice(idx, 1));
+        items.push({ expr: newExpr, value: newVal });
+        items = shuffleArray(items, rng);
+    }
+    return items[0].expr;
+};
+
+// Piece ids only need to be unique within a puzzle; deriving them from the
+// token position keeps the whole puzzle reproducible.
+export const makePieces = (tokens, rng = Math.random) =>
+    shuffleArray(tokens.map((token, i) => ({ id: `p${i}`, token })), rng);
+
+// A tray that already reads as a solution left to right is no puzzle at all
+const solvedInTrayOrder = (pieces, goal) => {
+    const result = evaluate(pieces.map(p => p.token));
+    return result.ok && equals(result.value, goal);
+};
+
+// `target` is an integer, or an "n/d" string for fractional targets
+const buildPuzzle = (seed, level, expr, goal, rng) => {
+    const tokens = tokenize(expr);
+    let pieces = makePieces(tokens, rng);
+    for (let i = 0; i < RESHUFFLE_LIMIT && solvedInTrayOrder(pieces, goal); i++) {
+        pieces = makePieces(tokens, rng);
+    }
+    return { seed, level, expr, tokens, target: toTarget(goal), pieces };
+};
+
+// Too many different solutions means the puzzle barely constrains the
+// student. A search that runs out of budget could not rule that out.
+const isAmbiguous = (tokens, goal, maxSolutions) => {
+    if (maxSolutions == null) return false;
+    const solved = solvePuzzle(tokens, goal, { budget: AMBIGUITY_BUDGET });
+    return !solved.exhaustive || countDistinctSolutions(solved.solutions) > maxSolutions;
+};
+
+// --- Quality ---
+// Steps that leave a value unchanged or cancel it out (x*1, x/1, x+0, x^1,
+// a-a, a/a) give the student pieces that do nothing
+const isIdentityStep = (op, left, right) => {
+    const one = rational(1);
+    switch (op) {
+        case '*': return equals(left, one) || equals(right, one);
+        case '/': return equals(right, one) || equals(left, right);
+        case '+': return left.n === 0 || right.n === 0;
+        case '-': return right.n === 0 || equals(left, right);
+        case '^': return equals(right, one);
+        default: return false;
+    }
+};
+
+// Every step of the intended answer: no identity steps and, while the
+// numbers are still small, no negative or oversized values along the way
+const meetsQuality = (node, allowed) => {
+    if (node.type === 'num') return true;
+    if (node.type === 'paren' || node.type === 'neg') return meetsQuality(node.body, allowed);
+    const left = evaluateAst(node.left).value;
+    const right = evaluateAst(node.right).value;
+    const value = evaluateAst(node).value;
+    if (isIdentityStep(node.op, left, right)) return false;
+    if (!allowed.negatives && value.n < 0) return false;
+    if (!allowed.twoDigit && Math.abs(toNumber(value)) > MAX_LOW_LEVEL_VALUE) return false;
+    return meetsQuality(node.left, allowed) && meetsQuality(node.right, allowed);
+};
+
+// Two puzzles are the same to a student when they have the same pieces
+// and target, whatever the order of the tray
+export const puzzleKey = (puzzle) => `${puzzle.target}|${[...puzzle.tokens].sort().join(' ')}`;
+
+// numCount, maxNumber, opWeights and content (which tiers are unlocked)
+// default to the level's rules and can be overridden (e.g. by adaptive
+// difficulty). `exclude` holds puzzleKeys of puzzles not to hand out again.
+export const generatePuzzle = ({
+    seed = randomSeed(),
+    level = 1,
+    numCount = null,
+    maxNumber = null,
+    opWeights = null,
+    content = null,
+    maxSolutions = null,
+    exclude = null
+} = {}) => {
+    const rng = createRng(seed);
+    const count = numCount || getPieceCountForLevel(level);
+    const numberLimit = maxNumber || getMaxNumberForLevel(level);
+    const weights = opWeights || getOperatorWeights(level);
+    const allowed = content || getContentForLevel(level);
+    const wantFraction = allowed.fractions && rng() < FRACTION_SHARE;
+    const excluded = new Set(exclude || []);
+
+    for (let tries = 0; tries < ATTEMPT_LIMIT; tries++) {
+        const fresh = tries < ATTEMPT_LIMIT * FRESH_SHARE;
+        const numbers = Array.from({ length: count }, () => randInt(rng, 1, numberLimit));
+        const ops = Array.from({ length: count - 1 }, () => getWeightedRandomOperator(weights, rng));
+        // Give a power something it can use as its exponent
+        if (ops.includes('^')) numbers[randInt(rng, 0, count - 1)] = randInt(rng, 2, 3);
+        const expr = buildRandomExpr(numbers, ops, rng, { negatives: allowed.negatives });
+
+        const result = evaluate(expr, { requireInteger: !allowed.fractions });
+        if (!result.ok) continue;
+        const { value } = result;
+        if (Math.abs(toNumber(value)) > 1000) continue;
+        if (value.n < 0 && !allowed.negatives) continue;
+        if (!isInteger(value) && (value.d > MAX_DENOMINATOR || Math.abs(toNumber(value)) > MAX_FRACTION_TARGET)) continue;
+        if (allowed.fractions && wantFraction === isInteger(value)) continue;
+        const tokens = tokenize(expr);
+        if (!meetsQuality(parse(tokens).ast, allowed)) continue;
+        if (fresh && excluded.has(puzzleKey({ tokens, target: toTarget(value) }))) continue;
+        if (isAmbiguous(tokens, value, maxSolutions)) continue;
+        return buildPuzzle(seed, level, expr, value, rng);
+    }
+
+    return buildPuzzle(seed, level, FALLBACK_EXPR, rational(14), rng);
+};
+
+// A puzzle whose intended answer the given misconception gets wrong, marked
+// with `practice: id`. Takes generatePuzzle's options; the operator mix is
+// the misconception's own, less what the level has not unlocked. Falls back
+// to an ordinary puzzle, as it does for a misconception the level cannot
+// practise yet.
+export const generatePracticePuzzle = (id, { seed = randomSeed(), ...options } = {}) => {
+    const allowed = options.content || getContentForLevel(options.level ?? 1);
+    if (canPractise(id, allowed)) {
+        const opWeights = unlockedWeights(MISCONCEPTIONS[id].practiceWeights, allowed);
+        for (let i = 0; i < PRACTICE_TRIES; i++) {
+            const puzzle = generatePuzzle({ ...options, seed: hashSeed(`${hashSeed(seed)}:practice:${i}`), opWeights });
+            if (exercises(id, puzzle.tokens)) return { ...puzzle, practice: id };
+        }
+    }
+    return generatePuzzle({ ...options, seed });
+};
+
+// Intended arrangement first, then a few others the solver found, with
+// the difficulty rating and hint ladder. The costly part of getting a round
+// ready, so the puzzle worker does it ahead of time.
+export const analyzePuzzle = (puzzle) => {
+    const solved = solvePuzzle(puzzle.tokens, puzzle.target, { limit: LISTED_SOLUTIONS });
+    const key = puzzle.tokens.join('');
+    const others = solved.solutions.filter(sol => sol.join('') !== key);
+    return {
+        ...puzzle,
+        solutions: [puzzle.tokens, ...others],
+        difficulty: rateDifficulty(puzzle.tokens, solved),
+        hints: buildHintLadder(puzzle.tokens)
+    };
+};
+
+// Rebuilds a puzzle from its expression and tray, in the tray's order.
+// Tray pieces the expression does not use become spares. Returns null when
+// the expression does not evaluate or the tray is missing some of its pieces.
+export const restorePuzzle = ({ seed, level, expr, tray }) => {
+    const tokens = tokenize(expr);
+    const result = evaluate(tokens);
+    if (!result.ok) return null;
+    const spares = [...tray];
+    for (const tok of tokens) {
+        const i = spares.indexOf(tok);
+        if (i < 0) return null;
+        spares.splice(i, 1);
+    }
+    return {
+        seed,
+        level,
+        expr,
+        tokens,
+        target: toTarget(result.value),
+        pieces: tray.map((token, i) => ({ id: `p${i}`, token })),
+        spares
+    };
+};
+
+// Countdown-style puzzles: the intended pieces plus spares the student may
+// leave in the tray. Spares come from the puzzle's seed like everything else.
+export const addSparePieces = (puzzle, { numbers = 2, operators = 1, maxNumber = 9 } = {}) => {
+    const rng = createRng(`${hashSeed(puzzle.seed)}:spares`);
+    const spares = [
+        ...Array.from({ length: numbers }, () => String(randInt(rng, 1, maxNumber))),
+        ...Array.from({ length: operators }, () => OPS[randInt(rng, 0, OPS.length - 1)])
+    ];
+    const pieces = [...puzzle.pieces, ...spares.map((token, i) => ({ id: `s${i}`, token }))];
+    return { ...puzzle, pieces: shuffleArray(pieces, rng), spares };
+};
+
+// --- Grading ---
+// On failure `error` carries the structured parser/evaluator error, whose
+// `position` is the index of the offending piece in `tokens`. `message` is
+// English; a translated UI says the same from the misconception, the error
+// code or `reason` instead.
+export const checkEquation = (tokens, target) => {
+    const expr = tokens.join('');
+    const goal = parseRational(target);
+    // A fractional answer to a whole-number target gets its own message
+    const result = evaluate(tokens, { requireInteger: isInteger(goal) });
+
+    if (!result.ok) {
+        // A fraction where a whole number was due can still come from a known mistake
+        const misconception = result.error.code === 'not-integer' ? classifyMistake(tokens, goal) : null;
+        return {
+            correct: false,
+            expr,
+            value: result.value ?? null,
+            message: misconception ? MISCONCEPTIONS[misconception].message : result.error.message,
+            error: result.error,
+            reason: null,
+            misconception
+        };
+    }
+
+    if (equals(result.value, goal)) {
+        return { correct: true, expr, value: result.value, message: null, error: null };
+    }
+    const misconception = classifyMistake(tokens, goal);
+    return {
+        correct: false,
+        expr,
+        value: result.value,
+        message: misconception ? MISCONCEPTIONS[misconception].message : 'Try rearranging the pieces!',
+        error: null,
+        reason: 'rearrange',
+        misconception
+    };
+};
+
+const countTokens = (tokens) =>
+    tokens.reduce((m, t) => (m[t] = (m[t] || 0) + 1, m), {});
+
+export const usesAllPieces = (puzzle, tokens) => {
+    if (tokens.length !== puzzle.pieces.length) return false;
+    const need = countTokens(puzzle.pieces.map(p => p.token));
+    const have = countTokens(tokens);
+    return Object.keys(need).every(t => need[t] === have[t]);
+};
+
+const usesOnlyPieces = (puzzle, tokens) => {
+    const have = countTokens(puzzle.pieces.map(p => p.token));
+    const need = countTokens(tokens);
+    return Object.keys(need).every(t => need[t] <= (have[t] || 0));
+};
+
+// Grades a candidate token sequence against a puzzle, including the
+// "every piece exactly once" rule the UI enforces through the Check button.
+export const gradeAttempt = (puzzle, tokens) => {
+    if (!usesAllPieces(puzzle, tokens)) {
+        return {
+            correct: false,
+            expr: tokens.join(''),
+            value: null,
+            message: 'Use every piece exactly once.',
+            error: null,
+            reason: 'use-every-piece'
+        };
+    }
+    return checkEquation(tokens, puzzle.target);
+};
+
+// Countdown grading: any selection of the pieces will do, and a valid
+// answer that misses carries its `distance` from the target.
+export const gradeSubsetAttempt = (puzzle, tokens) => {
+    if (!tokens.length || !usesOnlyPieces(puzzle, tokens)) {
+        return {
+            correct: false,
+            expr: tokens.join(''),
+            value: null,
+            distance: null,
+            message: 'Use only the pieces in the tray.',
+            error: null,
+            reason: 'only-tray-pieces'
+        };
+    }
+    const result = checkEquation(tokens, puzzle.target);
+    if (result.error) return { ...result, distance: null };
+    const gap = Math.abs(toNumber(result.value) - toNumber(parseRational(puzzle.target)));
+    const distance = Math.round(gap * 100) / 100;
+    return {
+        ...result,
+        distance,
+        message: distance ? `${distance} away from the target.` : null
+    };
+};
@@ -0,0 +1,427 @@
+// Exact-arithmetic expressions: tokenizer -> parser -> AST evaluator.
+// Values are reduced fractions { n, d } so results like 7/3*3 are exact,
+// and nothing is ever handed to eval/new Function (safe under strict CSP).
+// Failures come back as { ok: false, error: { code, position, message } },
+// where position is the index of the offending token.
+
+// --- Rationals ---
+const gcd = (a, b) => {
+    a = Math.abs(a);
+    b = Math.abs(b);
+    while (b) [a, b] = [b, a % b];
+    return a;
+};
+
+export const rational = (n, d = 1) => {
+    if (d < 0) {
+        n = -n;
+        d = -d;
+    }
+    const g = gcd(n, d) || 1;
+    return { n: n / g + 0, d: d / g };
+};
+
+export const ZERO = rational(0);
+
+export const isInteger = (r) => r.d === 1;
+
+export const equals = (a, b) => a.n === b.n && a.d === b.d;
+
+export const toNumber = (r) => r.n / r.d;
+
+export const fromNumber = (x) => rational(x);
+
+export const formatRational = (r) => (r.d === 1 ? String(r.n) : `${r.n}/${r.d}`);
+
+// Targets are plain integers, or "n/d" strings when they are fractions
+export const parseRational = (value) => {
+    if (typeof value === 'number') return Number.isInteger(value) ? rational(value) : null;
+    if (value && typeof value === 'object') return rational(value.n, value.d);
+    const m = /^\s*(-?\d+)\s*(?:\/\s*(\d+))?\s*$/.exec(String(value));
+    if (!m || Number(m[2] ?? 1) === 0) return null;
+    return rational(Number(m[1]), Number(m[2] ?? 1));
+};
+
+export const toTarget = (r) => (isInteger(r) ? r.n : formatRational(r));
+
+export const isSafe = (r) => Number.isSafeInteger(r.n) && Number.isSafeInteger(r.d);
+
+export const MAX_EXPONENT = 10;
+
+export const isValidExponent = (r) => isInteger(r) && Math.abs(r.n) <= MAX_EXPONENT;
+
+const power = (base, exponent) => {
+    if (!isValidExponent(exponent)) return null;
+    let result = rational(1);
+    for (let i = 0; i < Math.abs(exponent.n); i++) result = rational(result.n * base.n, result.d * base.d);
+    if (exponent.n >= 0) return result;
+    return result.n === 0 ? null : rational(result.d, result.n);
+};
+
+export const negate = (r) => rational(-r.n, r.d);
+
+// Returns null for undefined results (division by zero, unusable exponents)
+export const applyOp = (op, a, b) => {
+    switch (op) {
+        case '+': return rational(a.n * b.d + b.n * a.d, a.d * b.d);
+        case '-': return rational(a.n * b.d - b.n * a.d, a.d * b.d);
+        case '*': return rational(a.n * b.n, a.d * b.d);
+        case '/': return b.n === 0 ? null : rational(a.n * b.d, a.d * b.n);
+        case '^': return power(a, b);
+        default: return null;
+    }
+};
+
+// --- Display ---
+const OP_SYMBOLS = { '+': '+', '-': '−', '*': '×', '/': '÷' };
+
+export const displayToken = (tok) => OP_SYMBOLS[tok] ?? tok;
+
+export const displayTokens = (tokens) => tokens.map(displayToken).join(' ');
+
+// --- Errors ---
+export const ERROR_MESSAGES = {
+    'empty': 'Build an equation first.',
+    'invalid-token': 'This piece is not a number, operator or parenthesis.',
+    'unexpected-token': 'This piece is in the wrong place.',
+    'unexpected-end': 'The equation ends too early.',
+    'unbalanced-parens': 'This parenthesis has no partner.',
+    'divide-by-zero': 'You cannot divide by zero here.',
+    'bad-exponent': `Powers need a whole-number exponent between −${MAX_EXPONENT} and ${MAX_EXPONENT}.`,
+    'not-integer': 'Must evaluate to a whole number.',
+    'overflow': 'The numbers got too big.'
+};
+
+const fail = (code, position = null) => ({
+    ok: false,
+    error: { code, position, message: ERROR_MESSAGES[code] }
+});
+
+// --- Tokenizer ---
+const TOKEN_RE = /\s*(\d+|[+\-*/^()]|\S)/g;
+
+const classify = (value) => {
+    if (/^\d+$/.test(value)) return 'num';
+    if (value === '(') return 'lparen';
+    if (value === ')') return 'rparen';
+    if ('+-*/^'.includes(value) && value.length === 1) return 'op';
+    return null;
+};
+
+// Accepts a string ("(3+4)*2") or an array of piece tokens (["(", "3", ...]).
+// Positions are piece indices for arrays and token indices for strings.
+export const lex = (input) => {
+    const raw = Array.isArray(input)
+        ? input.map(String)
+        : [...String(input).matchAll(TOKEN_RE)].map(m => m[1]);
+    const tokens = [];
+    for (let i = 0; i < raw.length; i++) {
+        const type = classify(raw[i]);
+        if (!type) return fail('invalid-token', i);
+        tokens.push({ type, value: raw[i], position: i });
+    }
+    return { ok: true, tokens };
+};
+
+const findUnbalancedParen = (tokens) => {
+    const open = [];
+    for (const t of tokens) {
+        if (t.type === 'lparen') open.push(t.position);
+        else if (t.type === 'rparen') {
+            if (!open.length) return t.position;
+            open.pop();
+        }
+    }
+    return open.length ? open[0] : null;
+};
+
+// --- Parser ---
+// expr   := term (('+' | '-') term)*
+// term   := unary (('*' | '/') unary)*
+// unary  := '-' unary | power
+// power  := factor ('^' unary)?
+// factor := NUMBER | '(' expr ')'
+//
+// So powers bind tightest and associate to the right (2^3^2 is 2^9), and
+// -2^2 is -(2^2). Nodes carry the token span they cover: { start, end }
+// (end inclusive).
+export const parse = (input) => {
+    const lexed = lex(input);
+    if (!lexed.ok) return lexed;
+    const { tokens } = lexed;
+    if (!tokens.length) return fail('empty');
+
+    const unbalanced = findUnbalancedParen(tokens);
+    if (unbalanced !== null) return fail('unbalanced-parens', unbalanced);
+
+    let i = 0;
+    const peek = () => tokens[i];
+    const endPosition = () => tokens[tokens.length - 1].position;
+
+    const parseFactor = () => {
+        const t = peek();
+        if (!t) return fail('unexpected-end', endPosition());
+        if (t.type === 'num') {
+            i++;
+            return { ok: true, node: { type: 'num', value: rational(Number(t.value)), start: t.position, end: t.position } };
+        }
+        if (t.type === 'lparen') {
+            i++;
+            const inner = parseExpr();
+            if (!inner.ok) return inner;
+            const close = peek();
+            if (!close) return fail('unexpected-end', endPosition());
+            if (close.type !== 'rparen') return fail('unexpected-token', close.position);
+            i++;
+            return { ok: true, node: { type: 'paren', body: inner.node, start: t.position, end: close.position } };
+        }
+        return fail('unexpected-token', t.position);
+    };
+
+    const parseUnary = () => {
+        const t = peek();
+        if (t && t.type === 'op' && t.value === '-') {
+            i++;
+            const body = parseUnary();
+            if (!body.ok) return body;
+            return { ok: true, node: { type: 'neg', position: t.position, body: body.node, start: t.position, end: body.node.end } };
+        }
+        return parsePower();
+    };
+
+    const parsePower = () => {
+        const base = parseFactor();
+        if (!base.ok) return base;
+        const op = peek();
+        if (!op || op.type !== 'op' || op.value !== '^') return base;
+        i++;
+        const exponent = parseUnary();
+        if (!exponent.ok) return exponent;
+        return {
+            ok: true,
+            node: {
+                type: 'binary',
+                op: '^',
+                position: op.position,
+                left: base.node,
+                right: exponent.node,
+                start: base.node.start,
+                end: exponent.node.end
+            }
+        };
+    };
+
+    const parseBinary = (parseOperand, ops) => () => {
+        let left = parseOperand();
+        if (!left.ok) return left;
+        while (peek() && peek().type === 'op' && ops.includes(peek().value)) {
+            const op = peek();
+            i++;
+            const right = parseOperand();
+            if (!right.ok) return right;
+            left = {
+                ok: true,
+                node: {
+                    type: 'binary',
+                    op: op.value,
+                    position: op.position,
+                    left: left.node,
+                    right: right.node,
+                    start: left.node.start,
+                    end: right.node.end
+                }
+            };
+        }
+        return left;
+    };
+
+    const parseTerm = parseBinary(parseUnary, ['*', '/']);
+    const parseExpr = parseBinary(parseTerm, ['+', '-']);
+
+    const result = parseExpr();
+    if (!result.ok) return result;
+    if (i < tokens.length) return fail('unexpected-token', tokens[i].position);
+    return { ok: true, ast: result.node };
+};
+
+// --- Evaluator ---
+export const evaluateAst = (node) => {
+    if (node.type === 'num') return { ok: true, value: node.value };
+    if (node.type === 'paren') return evaluateAst(node.body);
+    if (node.type === 'neg') {
+        const body = evaluateAst(node.body);
+        return body.ok ? { ok: true, value: negate(body.value) } : body;
+    }
+
+    const left = evaluateAst(node.left);
+    if (!left.ok) return left;
+    const right = evaluateAst(node.right);
+    if (!right.ok) return right;
+
+    const value = applyOp(node.op, left.value, right.value);
+    if (!value) {
+        const code = node.op === '^' && !isValidExponent(right.value) ? 'bad-exponent' : 'divide-by-zero';
+        return fail(code, node.position);
+    }
+    if (!isSafe(value)) return fail('overflow', node.position);
+    return { ok: true, value };
+};
+
+export const evaluate = (input, { requireInteger = false } = {}) => {
+    const parsed = parse(input);
+    if (!parsed.ok) return parsed;
+    const result = evaluateAst(parsed.ast);
+    if (!result.ok) return result;
+    if (requireInteger && !isInteger(result.value)) {
+        return { ...fail('not-integer'), value: result.value };
+    }
+    return { ok: true, value: result.value, ast: parsed.ast };
+};
+
+// --- Live Preview ---
+// Indices of every parenthesis without a partner, for highlighting
+export const findUnmatchedParens = (tokens) => {
+    const open = [];
+    const unmatched = [];
+    tokens.forEach((tok, i) => {
+        if (tok === '(') open.push(i);
+        else if (tok === ')') {
+            if (open.length) open.pop();
+            else unmatched.push(i);
+        }
+    });
+    return [...unmatched, ...open].sort((a, b) => a - b);
+};
+
+// Value of the longest leading part of a half-built equation that already
+// makes sense, closing any parentheses still open. `length` is how many
+// tokens it covers; null when nothing evaluates yet.
+export const previewValue = (tokens) => {
+    for (let length = tokens.length; length > 0; length--) {
+        const prefix = tokens.slice(0, length);
+        let depth = 0;
+        let closedTooMany = false;
+        for (const tok of prefix) {
+            if (tok === '(') depth++;
+            else if (tok === ')' && --depth < 0) closedTooMany = true;
+        }
+        if (closedTooMany) continue;
+        const result = evaluate([...prefix, ...Array(depth).fill(')')]);
+        if (result.ok) return { value: result.value, length, autoClosed: depth };
+    }
+    return null;
+};
+
+// --- Step-by-step Explanation ---
+const unwrapParens = (node) => (node.type === 'paren' ? unwrapParens(node.body) : node);
+
+// A negated number counts as a number: "−3" is not a step of its own
+const numberValue = (node) => {
+    node = unwrapParens(node);
+    if (node.type === 'num') return node.value;
+    if (node.type === 'neg') {
+        const body = numberValue(node.body);
+        return body && negate(body);
+    }
+    return null;
+};
+
+const isNumberNode = (node) => numberValue(node) !== null;
+
+// Worked out by an earlier step, as opposed to typed in
+const isComputed = (node) => {
+    node = unwrapParens(node);
+    return node.type === 'num' && Boolean(node.computed);
+};
+
+// Next operation in evaluation order: the leftmost innermost binary node
+// whose operands are already plain numbers, or a sign in front of a value
+// an earlier step worked out.
+const nextReducible = (node) => {
+    if (node.type === 'num') return null;
+    if (node.type === 'paren') return nextReducible(node.body);
+    if (node.type === 'neg') return nextReducible(node.body) || (isComputed(node.body) ? node : null);
+    return nextReducible(node.left)
+        || nextReducible(node.right)
+        || (isNumberNode(node.left) && isNumberNode(node.right) ? node : null);
+};
+
+const replaceNode = (node, target, replacement) => {
+    if (node === target) return replacement;
+    if (node.type === 'paren' || node.type === 'neg') return { ...node, body: replaceNode(node.body, target, replacement) };
+    if (node.type === 'binary') {
+        return {
+            ...node,
+            left: replaceNode(node.left, target, replacement),
+            right: replaceNode(node.right, target, replacement)
+        };
+    }
+    return node;
+};
+
+const contains = (node, target) => node === target
+    || ((node.type === 'paren' || node.type === 'neg') && contains(node.body, target))
+    || (node.type === 'binary' && (contains(node.left, target) || contains(node.right, target)));
+
+// Renders a tree as display segments; segments inside `mark` are flagged so
+// the operation about to be worked out can be highlighted.
+export const renderSegments = (node, mark = null, marked = false) => {
+    const inMark = marked || node === mark;
+    if (node.type === 'num') return [{ text: formatRational(node.value), mark: inMark }];
+    // A sign about to be applied reads as its step does
+    if (node === mark && node.type === 'neg') {
+        return [{ text: `${displayToken('-')}(${formatRational(numberValue(node.body))})`, mark: true }];
+    }
+    // Brackets and signs around a lone number have done their job
+    if (isNumberNode(node) && !(mark && contains(node, mark))) return [{ text: formatRational(numberValue(node)), mark: inMark }];
+    if (node.type === 'neg') return [{ text: displayToken('-'), mark: inMark }, ...renderSegments(node.body, mark, inMark)];
+    if (node.type === 'paren') {
+        return [
+            { text: '(', mark: inMark },
+            ...renderSegments(node.body, mark, inMark),
+            { text: ')', mark: inMark }
+        ];
+    }
+    return [
+        ...renderSegments(node.left, mark, inMark),
+        { text: displayToken(node.op), mark: inMark },
+        ...renderSegments(node.right, mark, inMark)
+    ];
+};
+
+// One entry per reduction, in the order the operations are applied:
+// { segments, operation, result }. Stops early on division by zero.
+export const explainSteps = (input) => {
+    const parsed = parse(input);
+    if (!parsed.ok) return parsed;
+
+    const steps = [];
+    let tree = parsed.ast;
+    let node = nextReducible(tree);
+    while (node) {
+        if (node.type === 'neg') {
+            const body = numberValue(node.body);
+            const value = negate(body);
+            steps.push({
+                segments: renderSegments(tree, node),
+                operation: `${displayToken('-')}(${formatRational(body)})`,
+                result: formatRational(value)
+            });
+            tree = replaceNode(tree, node, { type: 'num', value, computed: true, start: node.start, end: node.end });
+            node = nextReducible(tree);
+            continue;
+        }
+        const a = numberValue(node.left);
+        const b = numberValue(node.right);
+        const operation = `${formatRational(a)} ${displayToken(node.op)} ${formatRational(b)}`;
+        const value = applyOp(node.op, a, b);
+        if (!value) {
+            const code = node.op === '^' && !isValidExponent(b) ? 'bad-exponent' : 'divide-by-zero';
+            return { ...fail(code, node.position), steps: [...steps, { segments: renderSegments(tree, node), operation, result: null }] };
+        }
+        steps.push({ segments: renderSegments(tree, node), operation, result: formatRational(value) });
+        tree = replaceNode(tree, node, { type: 'num', value, computed: true, start: node.start, end: node.end });
+        node = nextReducible(tree);
+    }
+    return { ok: true, steps, value: numberValue(tree) };
+};
@@ -0,0 +1,70 @@
+// Progressive hints built from the intended solution's expression tree.
+// Each rung gives away more than the one before and costs more points off
+// the round's score; the last rung is the full reveal, which scores nothing.
+
+import { displayTokens, evaluateAst, formatRational, parse } from './expression.js';
+
+const unwrap = (node) => (node.type === 'paren' ? unwrap(node.body) : node);
+
+// Plain numbers, possibly negated
+const isNumberLike = (node) => {
+    node = unwrap(node);
+    return node.type === 'num' || (node.type === 'neg' && isNumberLike(node.body));
+};
+
+// The first operation a student would work out: the leftmost binary node
+// whose operands are both plain numbers.
+const findFirstOperation = (node) => {
+    node = unwrap(node);
+    if (node.type === 'neg') return findFirstOperation(node.body);
+    if (node.type !== 'binary') return null;
+    const inLeft = findFirstOperation(node.left);
+    if (inLeft) return inLeft;
+    const inRight = findFirstOperation(node.right);
+    if (inRight) return inRight;
+    return isNumberLike(node.left) && isNumberLike(node.right) ? node : null;
+};
+
+const structureHint = ({ parens, powers }) => {
+    const order = powers
+        ? 'powers (^) come before × and ÷, which come before + and −.'
+        : '× and ÷ are worked out before + and −.';
+    return parens
+        ? `Parentheses are needed: one part has to be worked out first, and inside it ${order}`
+        : `No parentheses here: ${order}`;
+};
+
+// Each step carries English `text` and, for translated hints, the `params`
+// its wording needs: raw tokens and values, not display text.
+export const buildHintLadder = (tokens) => {
+    const shape = { parens: tokens.includes('('), powers: tokens.includes('^') };
+    const steps = [{ id: 'structure', cost: 1, text: structureHint(shape), params: shape }];
+
+    const parsed = parse(tokens);
+    const first = parsed.ok ? findFirstOperation(parsed.ast) : null;
+    if (first) {
+        const sub = tokens.slice(first.start, first.end + 1);
+        const value = formatRational(evaluateAst(first).value);
+        steps.push({
+            id: 'subvalue',
+            cost: 2,
+            text: `Work out ${displayTokens(sub)} first: it makes ${value}.`,
+            params: { tokens: sub, value }
+        });
+    }
+
+    const prefix = tokens.slice(0, Math.min(3, tokens.length - 1));
+    steps.push({
+        id: 'prefix',
+        cost: 3,
+        text: `Start your equation with these pieces: ${displayTokens(prefix)}`,
+        params: { tokens: prefix }
+    });
+
+    steps.push({ id: 'reveal', cost: 0, text: 'Here is the full solution.', reveal: true });
+    return steps;
+};
+
+// Points taken off a correct answer for the hints taken so far
+export const hintPenalty = (ladder, used) =>
+    ladder.slice(0, used).reduce((s, step) => s + step.cost, 0);
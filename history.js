@@ -0,0 +1,35 @@
+// Undo/redo for the equation row. Entries are whole snapshots of the row
+// (whatever the caller stores), so undoing never needs to know which edit
+// produced them.
+
+const HISTORY_LIMIT = 100;
+
+export const createHistory = () => ({ past: [], future: [] });
+
+export const canUndo = (history) => history.past.length > 0;
+export const canRedo = (history) => history.future.length > 0;
+
+// `snapshot` is the row as it was before the edit; a new edit drops the
+// redo branch
+export const recordEdit = (history, snapshot) => ({
+    past: [...history.past, snapshot].slice(-HISTORY_LIMIT),
+    future: []
+});
+
+// Both return { history, snapshot } with the snapshot to restore, or null
+// when there is nothing to step to. `current` is the row as it is now.
+export const undoEdit = (history, current) => {
+    if (!canUndo(history)) return null;
+    return {
+        history: { past: history.past.slice(0, -1), future: [current, ...history.future] },
+        snapshot: history.past[history.past.length - 1]
+    };
+};
+
+export const redoEdit = (history, current) => {
+    if (!canRedo(history)) return null;
+    return {
+        history: { past: [...history.past, current], future: history.future.slice(1) },
+        snapshot: history.future[0]
+    };
+};
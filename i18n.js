@@ -0,0 +1,116 @@
+// Message catalogs and locale formatting. A catalog (locale-*.js) holds
+// the locale's messages by key, how it writes operators, how a screen
+// reader should say them, and its text direction.
+//
+// Messages interpolate {name} from the params. A message may instead be an
+// object of plural forms ({ one, other }, and for Arabic zero, two, few,
+// many), picked by Intl.PluralRules from params.count. Numbers in params
+// are written with the locale's digits.
+
+import { SPOKEN_NAMES, speakNumber, speakToken, speakTokens } from './a11y.js';
+import en from './locale-en.js';
+import es from './locale-es.js';
+import ar from './locale-ar.js';
+
+export const LOCALES = { en, es, ar };
+export const DEFAULT_LOCALE = 'en';
+
+const DIGITS = /^-?\d+(?:\/\d+)?$/;
+// What expression.js shows for each operator, mapped back to the token
+const DISPLAYED_OPERATORS = { '+': '+', '−': '-', '×': '*', '÷': '/', '^': '^' };
+
+// The best supported match for the browser's languages ("es-MX" -> "es")
+export const detectLocale = (languages = typeof navigator === 'undefined' ? [] : navigator.languages || [navigator.language]) => {
+    for (const language of languages) {
+        const base = String(language || '').toLowerCase().split('-')[0];
+        if (LOCALES[base]) return base;
+    }
+    return DEFAULT_LOCALE;
+};
+
+// --- Persistence ---
+// The student's pick, per game, in the host's storage (config.storage) next
+// to the progress, else localStorage; either may be blocked
+const localeKey = (gameName) => `locale:${gameName}`;
+
+export const loadLocale = (gameName, storage) => {
+    try {
+        const id = (storage || window.localStorage).getItem(localeKey(gameName));
+        return LOCALES[id] ? id : null;
+    } catch {
+        return null;
+    }
+};
+
+export const saveLocale = (gameName, id, storage) => {
+    try {
+        (storage || window.localStorage).setItem(localeKey(gameName), id);
+    } catch (error) {
+        console.warn('Could not remember the language.', error);
+    }
+};
+
+// --- Translator ---
+const interpolate = (text, params, formatParam) =>
+    text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? formatParam(params[name]) : match));
+
+const createTranslator = (id) => {
+    const catalog = LOCALES[id] || LOCALES[DEFAULT_LOCALE];
+    const fallback = LOCALES[DEFAULT_LOCALE];
+    const plurals = new Intl.PluralRules(catalog.id);
+    const numbers = new Intl.NumberFormat(catalog.id, { useGrouping: false, maximumFractionDigits: 2 });
+    const spoken = { ...SPOKEN_NAMES, ...catalog.spoken };
+
+    // Whole numbers, decimals and "n/d" fractions in the locale's digits;
+    // anything else as it is
+    const number = (value) => {
+        if (typeof value === 'number') return numbers.format(value);
+        const text = String(value);
+        if (!DIGITS.test(text)) return text;
+        return text.split('/').map(part => numbers.format(Number(part))).join('/');
+    };
+
+    const formatParam = (value) => (typeof value === 'number' ? number(value) : String(value));
+
+    const t = (key, params = {}) => {
+        let message = catalog.messages[key] ?? fallback.messages[key];
+        if (message === undefined) {
+            console.warn(`Missing message "${key}".`);
+            return key;
+        }
+        if (typeof message === 'object') {
+            const form = typeof params.count === 'number' ? plurals.select(params.count) : 'other';
+            message = message[form] ?? message.other;
+        }
+        return interpolate(message, params, formatParam);
+    };
+
+    t.locale = catalog.id;
+    t.dir = catalog.dir;
+    t.number = number;
+    // A piece as shown on the board. A run of pieces is isolated in
+    // right-to-left text, which would otherwise show "3 − 7" as "7 − 3".
+    t.token = (tok) => catalog.operators[tok] ?? number(tok);
+    t.tokens = (tokens) => {
+        const text = tokens.map(t.token).join(' ');
+        return catalog.dir === 'rtl' ? `\u2066${text}\u2069` : text;
+    };
+    // Text expression.js has already put in display form ("3 × 4")
+    t.display = (text) => String(text).split(' ')
+        .map(part => (part in DISPLAYED_OPERATORS ? t.token(DISPLAYED_OPERATORS[part]) : number(part)))
+        .join(' ');
+    t.date = (dateKey) => new Intl.DateTimeFormat(catalog.id, { dateStyle: 'long', timeZone: 'UTC' })
+        .format(new Date(`${dateKey}T00:00:00Z`));
+    t.speakToken = (tok) => speakToken(tok, spoken);
+    t.speakTokens = (tokens) => speakTokens(tokens, spoken);
+    t.speakNumber = (value) => speakNumber(value, spoken);
+    return t;
+};
+
+// Translators are built once per locale
+const translators = new Map();
+
+export const getTranslator = (id) => {
+    if (!translators.has(id)) translators.set(id, createTranslator(id));
+    return translators.get(id);
+};
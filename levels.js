@@ -0,0 +1,39 @@
+// Per-level results for the level map: a 1–3 star rating for each solve and
+// the best rating so far on every level the student has played.
+
+export const MAX_STARS = 3;
+// Share of the round's time a three-star solve may use
+const FAST_SHARE = 0.5;
+// Locked levels shown after the highest unlocked one, as something to aim for
+export const LOCKED_PREVIEW = 3;
+
+// 0 for a round that was not solved, or only solved by the reveal.
+// Three stars: no hints, no wrong checks and inside half the time. Two:
+// one slip at most. One: solved at all.
+export const rateStars = ({ solved, solveTime, timeLimit, hintsUsed = 0, wrongChecks = 0, revealed = false }) => {
+    if (!solved || revealed) return 0;
+    const slips = hintsUsed + wrongChecks;
+    if (!slips && solveTime <= timeLimit * FAST_SHARE) return MAX_STARS;
+    return slips <= 1 ? 2 : 1;
+};
+
+// Records are { [level]: { stars, solved, played } }: the best rating and
+// two counters, so copies from different devices merge by taking the
+// larger of each.
+export const recordLevelResult = (records, level, { stars, solved }) => {
+    const previous = records[level] || {};
+    return {
+        ...records,
+        [level]: {
+            stars: Math.max(previous.stars || 0, stars),
+            solved: (previous.solved || 0) + (solved ? 1 : 0),
+            played: (previous.played || 0) + 1
+        }
+    };
+};
+
+export const totalStars = (records = {}) =>
+    Object.values(records).reduce((sum, record) => sum + (record.stars || 0), 0);
+
+// "★★☆" for two of three stars
+export const starString = (stars) => '★'.repeat(stars) + '☆'.repeat(MAX_STARS - stars);
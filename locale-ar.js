@@ -0,0 +1,460 @@
+// Arabic, right to left. Counted nouns take all six plural forms
+// (zero, one, two, few, many, other). Equations stay left to right, as
+// they are written in Arabic school mathematics; inside sentences they are
+// wrapped in \u2066…\u2069 so the text around them cannot reorder them.
+
+export default {
+    id: 'ar',
+    name: 'العربية',
+    dir: 'rtl',
+    operators: { '+': '+', '-': '−', '*': '×', '/': '÷', '^': '^', '(': '(', ')': ')' },
+    spoken: {
+        '+': 'زائد',
+        '-': 'ناقص',
+        '*': 'ضرب',
+        '/': 'قسمة',
+        '^': 'أُس',
+        '(': 'قوس مفتوح',
+        ')': 'قوس مغلق',
+        empty: 'فارغة',
+        negative: 'سالب',
+        over: 'على'
+    },
+    messages: {
+        'rotate.title': 'من فضلك أدِر جهازك',
+        'rotate.body': 'صُمّمت هذه اللعبة لتُلعب والجهاز في الوضع الأفقي.',
+
+        'header.back': 'رجوع',
+        'header.levelMap': 'خريطة المستويات',
+        'header.badges': 'الشارات',
+        'header.title': 'بنّاء المعادلات',
+        'header.language': 'اللغة',
+
+        'sync.synced': 'تم الحفظ',
+        'sync.syncing': 'جارٍ الحفظ…',
+        'sync.pending': 'بانتظار المزامنة',
+        'sync.offline': 'غير متصل – محفوظ على هذا الجهاز',
+
+        'board.label': 'بنّاء المعادلات',
+        'board.target': 'العدد المطلوب',
+        'board.noTimeLimit': 'بلا حد زمني',
+        'board.secondsLeft': {
+            zero: 'انتهى الوقت',
+            one: 'بقيت ثانية واحدة',
+            two: 'بقيت ثانيتان',
+            few: 'بقيت {count} ثوانٍ',
+            many: 'بقيت {count} ثانية',
+            other: 'بقيت {count} ثانية'
+        },
+        'board.timer': '{count} ث',
+        'banner.daily': '📅 تحدي اليوم · {date}',
+        'banner.shared': '🔗 لغز مُشارَك',
+        'banner.practice': '🎯 تدريب: {name}',
+        'banner.set': '📚 {name} · اللغز {entry} من {total}',
+
+        'status.mode': 'النمط',
+        'status.level': 'المستوى',
+        'status.score': 'النقاط',
+        'status.difficulty': 'الصعوبة',
+        'status.puzzle': 'اللغز',
+        'status.bestStreak': 'أفضل سلسلة: {count}',
+        'difficulty.easy': 'سهل',
+        'difficulty.medium': 'متوسط',
+        'difficulty.hard': 'صعب',
+
+        'pieces.title': '📦 القطع المتاحة (انقر أو اسحب لاستخدامها)',
+        'pieces.label': 'القطع المتاحة',
+        'pieces.used': '{piece}، مستخدمة',
+        'equation.title': '🔧 ابنِ معادلتك هنا ({rule})',
+        'equation.undo': 'تراجع',
+        'equation.undoTitle': 'تراجع (Ctrl+Z)',
+        'equation.redo': 'إعادة',
+        'equation.redoTitle': 'إعادة (Ctrl+Shift+Z)',
+        'equation.label': 'معادلتك',
+        'equation.piece': '{piece}، الموضع {position}. إزالة',
+        'equation.placeholder': 'ابنِ معادلتك هنا',
+        'equation.soFar': 'حتى الآن:',
+        'equation.keepBuilding': 'تابع البناء…',
+        'equation.unmatched': {
+            one: '⚠ قوس واحد بلا نظير',
+            two: '⚠ قوسان بلا نظير',
+            few: '⚠ {count} أقواس بلا نظير',
+            other: '⚠ {count} قوسًا بلا نظير'
+        },
+        'equation.check': '✅ تحقّق من الحل',
+        'equation.tried': '📜 محاولات سابقة ({count})',
+        'solution.title': '✨ الحل:',
+        'solution.numbered': '✨ الحل {index} من {total}:',
+        'solution.numberedAtLeast': '✨ الحل {index} من {total} على الأقل:',
+
+        'actions.newRound': '+ جولة جديدة',
+        'actions.hint': '💡 تلميح',
+        'actions.hintReveal': '💡 تلميح (بلا نقاط)',
+        'actions.hintCost': '💡 تلميح (−{cost})',
+        'actions.reset': '🔄 مسح',
+        'actions.solution': '✅ الحل',
+        'actions.anotherSolution': '🔁 حل آخر',
+        'actions.pause': '⏸️ إيقاف مؤقت',
+        'actions.share': '🔗 مشاركة',
+        'actions.mode': '🎮 النمط',
+
+        'common.close': 'إغلاق',
+        'common.points': {
+            zero: '{count} نقطة',
+            one: 'نقطة واحدة',
+            two: 'نقطتان',
+            few: '{count} نقاط',
+            many: '{count} نقطة',
+            other: '{count} نقطة'
+        },
+        'common.yourName': 'اسمك',
+
+        'welcome.title': 'بنّاء المعادلات',
+        'welcome.intro': 'أهلًا بك في بنّاء المعادلات! 🎯',
+        'welcome.howTo': '📝 طريقة اللعب:',
+        'welcome.rule1': 'سترى <b>عددًا مطلوبًا</b> عليك الوصول إليه',
+        'welcome.rule2': '<b>انقر القطع أو اسحبها</b> (أعداد وعمليات) لتبني معادلة',
+        'welcome.rule3': 'أفلِت قطعة بين قطعتين لإدراجها، أو اسحبها إلى الصينية لإزالتها',
+        'welcome.rule4': 'استخدم <b>كل القطع مرة واحدة بالضبط</b>',
+        'welcome.rule5': 'يجب أن تساوي معادلتك العدد المطلوب',
+        'welcome.rule6': 'انقر <b>تحقّق</b> عند الانتهاء لمراجعة إجابتك',
+        'welcome.tips': '💡 نصائح:',
+        'welcome.tip1': 'الأقواس ( ) تعني «احسب هذا أولًا»',
+        'welcome.tip2': 'استخدم زر <b>تلميح</b> إذا توقفت',
+        'welcome.tip3': 'المؤقت يعمل، لكن خذ وقتك في التفكير!',
+        'welcome.keyboard': '<b>لوحة المفاتيح:</b> اكتب عددًا أو عملية لوضعها، ← → للتنقل، Backspace للإزالة، '
+            + 'Enter للتحقق، H للتلميح، R للمسح، N لجولة جديدة، P للإيقاف المؤقت، '
+            + 'Ctrl+Z للتراجع و Ctrl+Shift+Z للإعادة',
+        'welcome.chooseMode': '🎮 اختر نمطًا:',
+        'welcome.ready': 'مستعد لحل بعض الألغاز؟ هيا بنا! 🚀',
+        'welcome.start': 'ابدأ اللعب 🎮',
+        'welcome.daily': '📅 تحدي اليوم',
+        'welcome.race': '🏁 سباق',
+        'welcome.loadSet': '📂 تحميل مجموعة ألغاز',
+        'welcome.setErrors': 'تعذّر تحميل مجموعة الألغاز هذه:',
+        'welcome.setErrorEntry': 'اللغز {entry}: {message}',
+
+        'setErrors.json': 'الملف ليس JSON صالحًا.',
+        'setErrors.no-list': 'يُتوقع قائمة ألغاز، أو كائن فيه قائمة "puzzles".',
+        'setErrors.csv-header': 'يجب أن يسمّي الصف الأول في CSV الأعمدة: expression, pieces, target, time_limit.',
+        'setErrors.empty': 'لا تحتوي المجموعة على ألغاز.',
+        'setErrors.not-entry': 'هذا ليس لغزًا.',
+        'setErrors.missing': 'اكتب تعبيرًا، أو قطعًا وعددًا مطلوبًا.',
+        'setErrors.time-limit': 'يجب أن يكون الوقت المحدد عددًا صحيحًا من الثواني بين {min} و {max}.',
+        'setErrors.bad-target': 'العدد المطلوب "{target}" ليس عددًا صحيحًا ولا كسرًا مثل 7/2.',
+        'setErrors.bad-piece': 'القطعة "{piece}" ليست عددًا ولا عملية ولا قوسًا.',
+        'setErrors.no-numbers': 'تحتاج القطع إلى عدد واحد على الأقل.',
+        'setErrors.bad-expression': 'لا يمكن حساب التعبير "{expression}": {reason}',
+        'setErrors.wrong-target': 'ناتج التعبير {value}، وليس العدد المطلوب {target}.',
+        'setErrors.pieces-mismatch': 'القطع لا تطابق التعبير.',
+        'setErrors.no-target': 'تحتاج القطع إلى عدد مطلوب.',
+        'setErrors.impossible': 'لا يمكن الوصول إلى {target} بهذه القطع.',
+        'setErrors.unchecked': 'تعذّر التحقق من أن القطع تصل إلى {target}؛ أضف التعبير الذي يجب أن تكوّنه.',
+
+        'timeUp.title': 'انتهى الوقت!',
+        'timeUp.closest': 'كانت أقرب إجابة لك على بُعد {distance}: +{points}.',
+        'timeUp.message': 'انتهى المؤقت. هل تريد المحاولة مرة أخرى؟',
+        'timeUp.replay': '🔄 إعادة',
+
+        'correct.title': 'أحسنت، تم الحل!',
+        'correct.keptTitle': 'تم الاحتفاظ بالإجابة!',
+        'correct.excellent': 'عمل ممتاز!',
+        'correct.points': '+{points}. مستعد للتحدي التالي؟',
+        'correct.stars': '{count} من {max} نجوم',
+        'correct.unlocks': '🔓 يفتح المستوى التالي: <b>{tier}</b>',
+        'correct.nextRound': '➡️ الجولة التالية',
+        'correct.waiting': 'بانتظار أن يبدأ المضيف الجولة التالية…',
+        'correct.leaveRace': '🚪 مغادرة السباق',
+        'correct.keepPlaying': '▶️ تابع اللعب',
+        'correct.nextLevel': '➡️ المستوى التالي',
+        'correct.nextPuzzle': '➡️ اللغز التالي',
+        'score.puzzle': 'اللغز ({difficulty})',
+        'score.away': 'على بُعد {distance} ({difficulty})',
+        'score.base': 'أساسي',
+        'score.timeBonus': 'مكافأة الوقت',
+        'score.streak': '🔥 سلسلة من {count}',
+        'score.hints': {
+            zero: 'لم تُستخدم تلميحات',
+            one: 'تلميح واحد مستخدم',
+            two: 'تلميحان مستخدمان',
+            few: '{count} تلميحات مستخدمة',
+            many: '{count} تلميحًا مستخدمًا',
+            other: '{count} تلميح مستخدم'
+        },
+        'score.wrongChecks': 'محاولات خاطئة',
+        'score.revealed': 'تم كشف الحل',
+        'score.noPoints': 'بلا نقاط',
+        'score.total': 'مجموع الجولة',
+
+        'wrong.title': 'حاول مرة أخرى!',
+        'wrong.youGot': 'نتيجتك',
+        'wrong.none': 'لا يوجد',
+        'wrong.target': 'المطلوب',
+        'wrong.step': 'الخطوة {index} من {total}',
+        'wrong.undefined': 'غير معرّف',
+        'wrong.back': 'السابق',
+        'wrong.next': 'التالي',
+        'wrong.repeated': '🔁 جرّبت هذه المعادلة نفسها من قبل.',
+        'wrong.misconception': '🧠 خطأ شائع: <b>{name}</b>',
+        'wrong.tryAgain': 'حاول مجددًا',
+        'wrong.keep': '🎯 احتفظ بـ {value} (+{points})',
+
+        'check.use-every-piece': 'استخدم كل قطعة مرة واحدة بالضبط.',
+        'check.only-tray-pieces': 'استخدم القطع الموجودة في الصينية فقط.',
+        'check.rearrange': 'جرّب ترتيب القطع بطريقة أخرى!',
+        'check.away': 'على بُعد {distance} من العدد المطلوب.',
+
+        'errors.empty': 'ابنِ معادلة أولًا.',
+        'errors.invalid-token': 'هذه القطعة ليست عددًا ولا عملية ولا قوسًا.',
+        'errors.unexpected-token': 'هذه القطعة في المكان الخطأ.',
+        'errors.unexpected-end': 'تنتهي المعادلة قبل أوانها.',
+        'errors.unbalanced-parens': 'هذا القوس بلا نظير.',
+        'errors.divide-by-zero': 'لا يمكن القسمة على صفر هنا.',
+        'errors.bad-exponent': 'تحتاج القوى إلى أُس صحيح بين −{max} و {max}.',
+        'errors.not-integer': 'يجب أن يكون الناتج عددًا صحيحًا.',
+        'errors.overflow': 'أصبحت الأعداد كبيرة جدًا.',
+
+        'sprint.title': 'انتهى السباق السريع!',
+        'sprint.summary': 'عدد الألغاز المحلولة: {count}، ومجموع النقاط: {points}.',
+        'sprint.solved': 'المحلولة',
+        'sprint.skipped': 'المتروكة',
+        'sprint.bestRun': 'أفضل جولة',
+        'sprint.bestRunValue': 'المحلولة: {count}',
+        'sprint.points': 'النقاط',
+        'sprint.again': '🔄 سباق سريع آخر',
+        'sprint.changeMode': '🎮 تغيير النمط',
+
+        'levels.title': 'خريطة المستويات',
+        'levels.summary': '{stars} من {total} نجمة. اختر أي مستوى مفتوح لتلعبه مجددًا.',
+        'levels.locked': 'المستوى {level}، مقفل',
+        'levels.tile': 'المستوى {level}، {stars} من {max} نجوم',
+        'levels.tileCurrent': 'المستوى {level}، {stars} من {max} نجوم، المستوى الحالي',
+        'levels.new': 'جديد: {tiers}',
+
+        'badges.title': 'الشارات',
+        'badges.summary': 'جمعت {unlocked} من {total} شارة.',
+        'badges.earned': '✅ تم جمعها',
+        'badges.locked': '🔒 ليس بعد',
+        'badges.progress': '{current}/{goal}',
+        'badges.unlocked': 'فتحت شارة جديدة!',
+        'achievements.first-solve.name': 'الحل الأول',
+        'achievements.first-solve.description': 'حُلّ أول لغز لك.',
+        'achievements.ten-solves.name': 'عشرة ألغاز',
+        'achievements.ten-solves.description': {
+            few: 'حُلّ {goal} ألغاز.',
+            many: 'حُلّ {goal} لغزًا.',
+            other: 'حُلّ {goal} لغز.'
+        },
+        'achievements.fifty-solves.name': 'بطل الألغاز',
+        'achievements.fifty-solves.description': {
+            few: 'حُلّ {goal} ألغاز.',
+            many: 'حُلّ {goal} لغزًا.',
+            other: 'حُلّ {goal} لغز.'
+        },
+        'achievements.no-hints-five.name': 'سلسلة رائعة',
+        'achievements.no-hints-five.description': {
+            few: 'حُلّ {goal} ألغاز متتالية دون تلميحات.',
+            many: 'حُلّ {goal} لغزًا متتاليًا دون تلميحات.',
+            other: 'حُلّ {goal} لغز متتالٍ دون تلميحات.'
+        },
+        'achievements.first-try.name': 'إصابة الهدف',
+        'achievements.first-try.description': 'حُلّ لغزًا من أول تحقق ودون تلميحات.',
+        'achievements.six-pieces.name': 'لغز كبير',
+        'achievements.six-pieces.description': {
+            few: 'حُلّ لغزًا مستخدمًا {goal} أعداد أو أكثر.',
+            many: 'حُلّ لغزًا مستخدمًا {goal} عددًا أو أكثر.',
+            other: 'حُلّ لغزًا مستخدمًا {goal} عدد أو أكثر.'
+        },
+        'achievements.quick.name': 'تفكير سريع',
+        'achievements.quick.description': {
+            few: 'حُلّ لغزًا ومعك أكثر من {goal} ثوانٍ.',
+            many: 'حُلّ لغزًا ومعك أكثر من {goal} ثانية.',
+            other: 'حُلّ لغزًا ومعك أكثر من {goal} ثانية.'
+        },
+        'achievements.divider.name': 'القسمة',
+        'achievements.divider.description': {
+            few: 'استخدم ÷ في {goal} إجابات صحيحة.',
+            many: 'استخدم ÷ في {goal} إجابة صحيحة.',
+            other: 'استخدم ÷ في {goal} إجابة صحيحة.'
+        },
+        'achievements.powers.name': 'قوة الأسس',
+        'achievements.powers.description': 'حُلّ لغزًا باستخدام أس.',
+        'achievements.comeback.name': 'لا تستسلم أبدًا',
+        'achievements.comeback.description': {
+            few: 'حُلّ لغزًا بعد {goal} محاولات خاطئة.',
+            many: 'حُلّ لغزًا بعد {goal} محاولة خاطئة.',
+            other: 'حُلّ لغزًا بعد {goal} محاولة خاطئة.'
+        },
+        'achievements.daily.name': 'لاعب يومي',
+        'achievements.daily.description': 'حُلّ لغز اليوم.',
+        'achievements.level-ten.name': 'متسلق ماهر',
+        'achievements.level-ten.description': 'حُلّ لغزًا في المستوى {goal} أو أعلى.',
+
+        'paused.title': 'متوقف مؤقتًا',
+        'paused.break': 'خذ استراحة.',
+        'paused.clock': 'توقفت الساعة والوقت المتبقي {count} ث.',
+        'paused.resume': '▶️ متابعة',
+
+        'set.title': 'اكتملت مجموعة الألغاز!',
+        'set.summary': 'أجبت إجابة صحيحة عن {correct} من {total} ألغاز في «{name}».',
+        'set.download': '⬇️ تنزيل النتائج',
+        'set.fileName': 'النتائج',
+        'set.csvYes': 'نعم',
+        'set.csvNo': 'لا',
+        'set.csvNotPlayed': 'لم يُلعب',
+        'set.keepPlaying': '➡️ تابع اللعب',
+
+        'race.title': 'سباق',
+        'race.intro': 'كل من في الغرفة يحصل على اللغز نفسه. افتح غرفة واقرأ رمزها بصوت عالٍ، أو انضم إلى غرفة.',
+        'race.open': '➕ افتح غرفة',
+        'race.code': 'رمز الغرفة',
+        'race.join': '🚪 انضمام',
+        'race.room': 'الغرفة',
+        'race.hostIntro': 'شارك الرمز. ابدأ عندما يكتمل الجميع.',
+        'race.guestIntro': 'بانتظار أن يبدأ المضيف السباق…',
+        'race.looking': 'جارٍ البحث عن الغرفة…',
+        'race.start': '▶️ ابدأ السباق',
+        'race.leave': '🚪 مغادرة',
+        'race.unavailable': 'السباق غير متاح في هذا المتصفح.',
+        'race.badCode': 'رمز الغرفة 5 حروف وأرقام، مثل K7QMP.',
+        'race.host': 'المضيف',
+        'race.player': 'لاعب',
+        'race.boardLabel': 'غرفة السباق {room}، الجولة {round}',
+        'race.board': '🏁 الغرفة {room} · الجولة {round}',
+        'race.hostLeft': 'غادر المضيف الغرفة.',
+        'race.you': '(أنت)',
+        'race.solvedIn': '✅ {time} ث',
+        'race.placed': '{placed}/{total} موضوعة',
+        'race.checks': {
+            zero: 'بلا محاولات',
+            one: 'محاولة واحدة',
+            two: 'محاولتان',
+            few: '{count} محاولات',
+            many: '{count} محاولة',
+            other: '{count} محاولة'
+        },
+
+        'replay.open': '🎬 مشاهدة إعادة',
+        'replay.watchSession': '🎬 مشاهدة هذه الجلسة',
+        'replay.save': '⬇️ حفظ سجل الجلسة',
+        'replay.fileName': 'الجلسة',
+        'replay.errors.json': 'هذا الملف ليس سجل جلسة.',
+        'replay.errors.version': 'سجل الجلسة هذا من إصدار آخر من اللعبة.',
+        'replay.errors.invalid': 'سجل الجلسة هذا تالف أو لا يحتوي على جولات.',
+        'replay.label': 'إعادة',
+        'replay.watching': 'إعادة الجولة {index} من {total}.',
+        'replay.round': 'الجولة',
+        'replay.roundOption': '{index}: الهدف {target}',
+        'replay.exit': '🚪 الخروج من الإعادة',
+        'replay.back': 'خطوة إلى الوراء',
+        'replay.forward': 'خطوة إلى الأمام',
+        'replay.play': 'تشغيل',
+        'replay.pause': 'إيقاف مؤقت',
+        'replay.position': 'الموضع في الجولة',
+        'replay.step': 'الخطوة {index} من {total}',
+        'replay.speed': 'السرعة',
+        'replay.speedOption': '{speed}×',
+        'replay.elapsed': {
+            zero: 'بداية الجولة',
+            one: 'ثانية واحدة من الجولة',
+            two: 'ثانيتان من الجولة',
+            few: '{count} ثوانٍ من الجولة',
+            many: '{count} ثانية من الجولة',
+            other: '{count} ثانية من الجولة'
+        },
+        'replay.start': 'وُزِّع اللغز.',
+        'replay.add': 'وضع {piece}.',
+        'replay.remove': 'أعاد {piece}.',
+        'replay.move': 'نقل {piece}.',
+        'replay.set': 'أصبحت المعادلة {pieces}.',
+        'replay.reset': 'أفرغ المعادلة.',
+        'replay.hint': 'طلب تلميحًا: {text}',
+        'replay.hintReveal': 'طلب الحل.',
+        'replay.reveal': 'عُرض الحل.',
+        'replay.correct': 'تحقق: صحيح!',
+        'replay.checkValue': 'تحقق: الناتج {value}.',
+        'replay.checkError': 'تحقق: {message}',
+        'replay.timeUp': 'انتهى الوقت.',
+        'replay.end.solved': 'انتهت الجولة: حُلّ اللغز.',
+        'replay.end.closest': 'انتهت الجولة: احتفظ بأقرب إجابة.',
+        'replay.end.skipped': 'انتهت الجولة: انتقل دون حلّه.',
+        'replay.end.timeUp': 'انتهت الجولة: لم يُحلّ في الوقت.',
+
+        'share.title': 'شارك هذا اللغز',
+        'share.message': 'من يفتح هذا الرابط يحصل على لغز المستوى {level} هذا بالقطع نفسها.',
+        'share.link': 'رابط اللغز',
+        'share.copy': '📋 نسخ الرابط',
+
+        'say.newPuzzle': 'لغز جديد. المطلوب {target}. عدد القطع {count}: {pieces}.',
+        'say.hostDeals': 'المضيف يبدأ الجولة التالية.',
+        'say.nothingToUndo': 'لا شيء للتراجع عنه.',
+        'say.nothingToRedo': 'لا شيء لإعادته.',
+        'say.correct': 'صحيح! زائد {points}.',
+        'say.correctNext': 'صحيح! زائد {points}. اللغز التالي.',
+        'say.notQuite': 'ليس تمامًا. {message}',
+        'say.notQuiteRepeated': 'ليس تمامًا. جرّبت هذه من قبل. {message}',
+        'say.hint': 'التلميح {index} من {total}: {text}',
+        'say.brokenLink': 'رابط اللغز هذا لا يعمل.',
+        'say.setProblems': 'في مجموعة الألغاز مشكلات، عددها {count}.',
+        'say.roomOpen': 'الغرفة {room} مفتوحة.',
+        'say.roomJoined': 'انضممت إلى الغرفة {room}.',
+        'say.copied': 'تم نسخ الرابط.',
+        'say.copyByHand': 'اضغط Control+C لنسخ الرابط المحدد.',
+        'say.kept': 'تم الاحتفاظ بالإجابة. زائد {points}.',
+        'say.paused': 'متوقف مؤقتًا.',
+        'say.resumed': 'استُؤنف اللعب.',
+        'say.noPiece': 'لم تبقَ قطعة {piece}.',
+        'say.start': 'بداية المعادلة.',
+        'say.after': 'بعد {piece}.',
+        'say.buildFirst': 'ابنِ معادلتك ({rule}) قبل التحقق.',
+        'say.secondsLeft': {
+            zero: 'انتهى الوقت.',
+            one: 'بقيت ثانية واحدة.',
+            two: 'بقيت ثانيتان.',
+            few: 'بقيت {count} ثوانٍ.',
+            many: 'بقيت {count} ثانية.',
+            other: 'بقيت {count} ثانية.'
+        },
+        'say.equation': 'المعادلة: {pieces}.',
+
+        'hints.orderPowers': 'القوى (^) قبل × و ÷، وهما قبل + و −.',
+        'hints.order': 'نحسب × و ÷ قبل + و −.',
+        'hints.parens': 'الأقواس لازمة: جزء منها يُحسب أولًا، وفي داخله {order}',
+        'hints.noParens': 'لا أقواس هنا: {order}',
+        'hints.subvalue': 'احسب {expression} أولًا: الناتج {value}.',
+        'hints.prefix': 'ابدأ معادلتك بهذه القطع: {pieces}',
+        'hints.reveal': 'إليك الحل كاملًا.',
+
+        'modes.classic.name': 'كلاسيكي',
+        'modes.classic.description': 'استخدم كل القطع قبل انتهاء مؤقت الجولة.',
+        'modes.classic.rule': 'استخدم كل القطع',
+        'modes.zen.name': 'هادئ',
+        'modes.zen.description': 'بلا مؤقت. خذ وقتك كما تشاء.',
+        'modes.zen.rule': 'استخدم كل القطع',
+        'modes.sprint.name': 'سباق سريع',
+        'modes.sprint.description': 'حلّ أكبر عدد من الألغاز في {minutes} دقائق.',
+        'modes.sprint.rule': 'استخدم كل القطع',
+        'modes.countdown.name': 'العد التنازلي',
+        'modes.countdown.description': 'بعض القطع زائدة. اقترب من العدد المطلوب قدر ما تستطيع.',
+        'modes.countdown.rule': 'استخدم ما تشاء من القطع',
+        'modes.race.name': 'سباق',
+        'modes.race.description': 'كل من في الغرفة يحصل على اللغز نفسه. أول من يحله يفوز بالجولة.',
+        'modes.race.rule': 'استخدم كل القطع',
+
+        'misconceptions.power-as-product.name': 'القوى',
+        'misconceptions.power-as-product.message': 'القوة ضرب متكرر: \u20663^2\u2069 تعني \u20663 × 3\u2069، لا \u20663 × 2\u2069.',
+        'misconceptions.swapped-division.name': 'الترتيب في القسمة',
+        'misconceptions.swapped-division.message': 'انتبه للترتيب حول ÷: \u20668 ÷ 2\u2069 ليست مثل \u20662 ÷ 8\u2069.',
+        'misconceptions.swapped-subtraction.name': 'الترتيب في الطرح',
+        'misconceptions.swapped-subtraction.message': 'انتبه للترتيب حول −: \u20667 − 3\u2069 ليست مثل \u20663 − 7\u2069.',
+        'misconceptions.left-to-right.name': 'ترتيب العمليات',
+        'misconceptions.left-to-right.message': 'لو حسبتها من اليسار إلى اليمين لكانت صحيحة، لكن × و ÷ تُحسبان قبل + و −.',
+        'misconceptions.parentheses.name': 'وضع الأقواس',
+        'misconceptions.parentheses.message': 'الأقواس حول الجزء الخطأ. ما بداخل ( ) يُحسب أولًا.',
+
+        'tiers.twoDigit': 'أعداد من رقمين',
+        'tiers.negatives': 'الأعداد السالبة',
+        'tiers.powers': 'القوى (^)',
+        'tiers.fractions': 'أهداف كسرية'
+    }
+};
@@ -0,0 +1,375 @@
+// English, the catalog every other locale falls back to. See i18n.js for
+// the message format; <b>…</b> marks words the game shows in bold.
+
+export default {
+    id: 'en',
+    name: 'English',
+    dir: 'ltr',
+    operators: { '+': '+', '-': '−', '*': '×', '/': '÷', '^': '^', '(': '(', ')': ')' },
+    spoken: {},
+    messages: {
+        'rotate.title': 'Please Rotate Your Device',
+        'rotate.body': 'This game is designed to be played in landscape mode for the best experience.',
+
+        'header.back': 'Go back',
+        'header.levelMap': 'Level map',
+        'header.badges': 'Badges',
+        'header.title': 'EQUATION BUILDER',
+        'header.language': 'Language',
+
+        'sync.synced': 'Saved',
+        'sync.syncing': 'Saving…',
+        'sync.pending': 'Waiting to sync',
+        'sync.offline': 'Offline – saved on this device',
+
+        'board.label': 'Equation Builder',
+        'board.target': 'TARGET NUMBER',
+        'board.noTimeLimit': 'No time limit',
+        'board.secondsLeft': { one: '{count} second left', other: '{count} seconds left' },
+        'board.timer': '{count}s',
+        'banner.daily': '📅 Daily Challenge · {date}',
+        'banner.shared': '🔗 Shared puzzle',
+        'banner.practice': '🎯 Practice: {name}',
+        'banner.set': '📚 {name} · puzzle {entry} of {total}',
+
+        'status.mode': 'MODE',
+        'status.level': 'LEVEL',
+        'status.score': 'SCORE',
+        'status.difficulty': 'DIFFICULTY',
+        'status.puzzle': 'PUZZLE',
+        'status.bestStreak': 'Best streak: {count}',
+        'difficulty.easy': 'easy',
+        'difficulty.medium': 'medium',
+        'difficulty.hard': 'hard',
+
+        'pieces.title': '📦 Available pieces (click or drag to use)',
+        'pieces.label': 'Available pieces',
+        'pieces.used': '{piece}, used',
+        'equation.title': '🔧 Build your equation here ({rule})',
+        'equation.undo': 'Undo',
+        'equation.undoTitle': 'Undo (Ctrl+Z)',
+        'equation.redo': 'Redo',
+        'equation.redoTitle': 'Redo (Ctrl+Shift+Z)',
+        'equation.label': 'Your equation',
+        'equation.piece': '{piece}, position {position}. Remove',
+        'equation.placeholder': 'Build your equation here',
+        'equation.soFar': 'So far:',
+        'equation.keepBuilding': 'Keep building…',
+        'equation.unmatched': { one: '⚠ {count} unmatched parenthesis', other: '⚠ {count} unmatched parentheses' },
+        'equation.check': '✅ Check Solution',
+        'equation.tried': '📜 Already tried ({count})',
+        'solution.title': '✨ Solution:',
+        'solution.numbered': '✨ Solution {index} of {total}:',
+        'solution.numberedAtLeast': '✨ Solution {index} of at least {total}:',
+
+        'actions.newRound': '+ New Round',
+        'actions.hint': '💡 Hint',
+        'actions.hintReveal': '💡 Hint (no points)',
+        'actions.hintCost': '💡 Hint (−{cost})',
+        'actions.reset': '🔄 Reset',
+        'actions.solution': '✅ Solution',
+        'actions.anotherSolution': '🔁 Another Solution',
+        'actions.pause': '⏸️ Pause',
+        'actions.share': '🔗 Share',
+        'actions.mode': '🎮 Mode',
+
+        'common.close': 'Close',
+        'common.points': { one: '{count} point', other: '{count} points' },
+        'common.yourName': 'Your name',
+
+        'welcome.title': 'Equation Builder',
+        'welcome.intro': 'Welcome to the Equation Builder! 🎯',
+        'welcome.howTo': '📝 How to Play:',
+        'welcome.rule1': 'You\'ll see a <b>target number</b> to reach',
+        'welcome.rule2': '<b>Click or drag pieces</b> (numbers & operators) to build an equation',
+        'welcome.rule3': 'Drop a piece between others to insert it, or drag it back to the tray to remove it',
+        'welcome.rule4': 'Use <b>ALL pieces exactly once</b>',
+        'welcome.rule5': 'Your equation must equal the target number',
+        'welcome.rule6': 'Click <b>Complete</b> when done to check your answer',
+        'welcome.tips': '💡 Tips:',
+        'welcome.tip1': 'Parentheses ( ) mean "do this first"',
+        'welcome.tip2': 'Use the <b>Hint</b> button if you\'re stuck',
+        'welcome.tip3': 'Timer runs - but take your time to think!',
+        'welcome.keyboard': '<b>Keyboard:</b> type a number or operator to place it, ← → to move, Backspace to remove, '
+            + 'Enter to check, H for a hint, R to reset, N for a new round, P to pause, '
+            + 'Ctrl+Z to undo and Ctrl+Shift+Z to redo',
+        'welcome.chooseMode': '🎮 Choose a mode:',
+        'welcome.ready': 'Ready to solve some puzzles? Let\'s go! 🚀',
+        'welcome.start': 'Start Game 🎮',
+        'welcome.daily': '📅 Daily Challenge',
+        'welcome.race': '🏁 Race',
+        'welcome.loadSet': '📂 Load Puzzle Set',
+        'welcome.setErrors': 'This puzzle set could not be loaded:',
+        'welcome.setErrorEntry': 'Puzzle {entry}: {message}',
+
+        'setErrors.json': 'The file is not valid JSON.',
+        'setErrors.no-list': 'Expected a list of puzzles, or an object with a "puzzles" list.',
+        'setErrors.csv-header': 'The first CSV row must name the columns: expression, pieces, target, time_limit.',
+        'setErrors.empty': 'The set has no puzzles.',
+        'setErrors.not-entry': 'Not a puzzle entry.',
+        'setErrors.missing': 'Give an expression, or pieces and a target.',
+        'setErrors.time-limit': 'The time limit must be a whole number of seconds from {min} to {max}.',
+        'setErrors.bad-target': 'The target "{target}" is not a whole number or a fraction like 7/2.',
+        'setErrors.bad-piece': 'The piece "{piece}" is not a number, operator or parenthesis.',
+        'setErrors.no-numbers': 'The pieces need at least one number.',
+        'setErrors.bad-expression': 'The expression "{expression}" does not work out: {reason}',
+        'setErrors.wrong-target': 'The expression equals {value}, not the target {target}.',
+        'setErrors.pieces-mismatch': 'The pieces do not match the expression.',
+        'setErrors.no-target': 'Pieces need a target.',
+        'setErrors.impossible': 'The pieces cannot make {target}.',
+        'setErrors.unchecked': 'Could not check that the pieces make {target}; add the expression they should form.',
+
+        'timeUp.title': 'Time\'s Up!',
+        'timeUp.closest': 'Your closest answer was {distance} away: +{points}.',
+        'timeUp.message': 'The timer has completed. Would you like to try again?',
+        'timeUp.replay': '🔄 Replay',
+
+        'correct.title': 'Successfully Completed!',
+        'correct.keptTitle': 'Answer Kept!',
+        'correct.excellent': 'Excellent work!',
+        'correct.points': '+{points}. Ready for the next challenge?',
+        'correct.stars': '{count} of {max} stars',
+        'correct.unlocks': '🔓 Next level unlocks: <b>{tier}</b>',
+        'correct.nextRound': '➡️ Next Round',
+        'correct.waiting': 'Waiting for the host to start the next round…',
+        'correct.leaveRace': '🚪 Leave Race',
+        'correct.keepPlaying': '▶️ Keep Playing',
+        'correct.nextLevel': '➡️ Next Level',
+        'correct.nextPuzzle': '➡️ Next Puzzle',
+        'score.puzzle': 'Puzzle ({difficulty})',
+        'score.away': '{distance} away ({difficulty})',
+        'score.base': 'base',
+        'score.timeBonus': 'Time bonus',
+        'score.streak': '🔥 Streak of {count}',
+        'score.hints': { one: '{count} hint used', other: '{count} hints used' },
+        'score.wrongChecks': 'Wrong checks',
+        'score.revealed': 'Solution revealed',
+        'score.noPoints': 'no points',
+        'score.total': 'Round total',
+
+        'wrong.title': 'Try Again!',
+        'wrong.youGot': 'You got',
+        'wrong.none': 'N/A',
+        'wrong.target': 'Target',
+        'wrong.step': 'Step {index} of {total}',
+        'wrong.undefined': 'undefined',
+        'wrong.back': '◀ Back',
+        'wrong.next': 'Next ▶',
+        'wrong.repeated': '🔁 You tried this exact equation before.',
+        'wrong.misconception': '🧠 Common mistake: <b>{name}</b>',
+        'wrong.tryAgain': 'Try Again',
+        'wrong.keep': '🎯 Keep {value} (+{points})',
+
+        'check.use-every-piece': 'Use every piece exactly once.',
+        'check.only-tray-pieces': 'Use only the pieces in the tray.',
+        'check.rearrange': 'Try rearranging the pieces!',
+        'check.away': '{distance} away from the target.',
+
+        'errors.empty': 'Build an equation first.',
+        'errors.invalid-token': 'This piece is not a number, operator or parenthesis.',
+        'errors.unexpected-token': 'This piece is in the wrong place.',
+        'errors.unexpected-end': 'The equation ends too early.',
+        'errors.unbalanced-parens': 'This parenthesis has no partner.',
+        'errors.divide-by-zero': 'You cannot divide by zero here.',
+        'errors.bad-exponent': 'Powers need a whole-number exponent between −{max} and {max}.',
+        'errors.not-integer': 'Must evaluate to a whole number.',
+        'errors.overflow': 'The numbers got too big.',
+
+        'sprint.title': 'Sprint Over!',
+        'sprint.summary': { one: 'You solved {count} puzzle and scored {points}.', other: 'You solved {count} puzzles and scored {points}.' },
+        'sprint.solved': 'Solved',
+        'sprint.skipped': 'Skipped',
+        'sprint.bestRun': 'Best run',
+        'sprint.bestRunValue': '{count} solved',
+        'sprint.points': 'Points',
+        'sprint.again': '🔄 Sprint Again',
+        'sprint.changeMode': '🎮 Change Mode',
+
+        'levels.title': 'Level Map',
+        'levels.summary': '{stars} of {total} stars. Pick any unlocked level to play it again.',
+        'levels.locked': 'Level {level}, locked',
+        'levels.tile': 'Level {level}, {stars} of {max} stars',
+        'levels.tileCurrent': 'Level {level}, {stars} of {max} stars, current level',
+        'levels.new': 'New: {tiers}',
+
+        'badges.title': 'Badges',
+        'badges.summary': '{unlocked} of {total} badges collected.',
+        'badges.earned': '✅ Collected',
+        'badges.locked': '🔒 Not yet',
+        'badges.progress': '{current}/{goal}',
+        'badges.unlocked': 'Badge unlocked!',
+        'achievements.first-solve.name': 'First Solve',
+        'achievements.first-solve.description': 'Solve your first puzzle.',
+        'achievements.ten-solves.name': 'Ten Solved',
+        'achievements.ten-solves.description': 'Solve {goal} puzzles.',
+        'achievements.fifty-solves.name': 'Puzzle Champion',
+        'achievements.fifty-solves.description': 'Solve {goal} puzzles.',
+        'achievements.no-hints-five.name': 'On a Roll',
+        'achievements.no-hints-five.description': 'Solve {goal} puzzles in a row without hints.',
+        'achievements.first-try.name': 'Bullseye',
+        'achievements.first-try.description': 'Solve a puzzle on the first check, with no hints.',
+        'achievements.six-pieces.name': 'Big Puzzle',
+        'achievements.six-pieces.description': 'Solve a puzzle using {goal} or more numbers.',
+        'achievements.quick.name': 'Quick Thinker',
+        'achievements.quick.description': 'Solve a puzzle with more than {goal} seconds left.',
+        'achievements.divider.name': 'Divider',
+        'achievements.divider.description': 'Use ÷ in {goal} correct answers.',
+        'achievements.powers.name': 'Power Up',
+        'achievements.powers.description': 'Solve a puzzle using a power.',
+        'achievements.comeback.name': 'Never Give Up',
+        'achievements.comeback.description': 'Solve a puzzle after {goal} wrong checks.',
+        'achievements.daily.name': 'Daily Player',
+        'achievements.daily.description': 'Solve the daily puzzle.',
+        'achievements.level-ten.name': 'High Climber',
+        'achievements.level-ten.description': 'Solve a puzzle on level {goal} or higher.',
+
+        'paused.title': 'Paused',
+        'paused.break': 'Take a break.',
+        'paused.clock': { one: 'The clock is stopped with {count} second left.', other: 'The clock is stopped with {count} seconds left.' },
+        'paused.resume': '▶️ Resume',
+
+        'set.title': 'Puzzle Set Complete!',
+        'set.summary': 'You got {correct} of {total} puzzles in “{name}” right.',
+        'set.download': '⬇️ Download Results',
+        'set.fileName': 'results',
+        'set.csvYes': 'yes',
+        'set.csvNo': 'no',
+        'set.csvNotPlayed': 'not played',
+        'set.keepPlaying': '➡️ Keep Playing',
+
+        'race.title': 'Race',
+        'race.intro': 'Everyone in a room gets the same puzzle. Open a room and read out its code, or join one.',
+        'race.open': '➕ Open a Room',
+        'race.code': 'Room code',
+        'race.join': '🚪 Join',
+        'race.room': 'Room',
+        'race.hostIntro': 'Share the code. Start when everyone is in.',
+        'race.guestIntro': 'Waiting for the host to start the race…',
+        'race.looking': 'Looking for the room…',
+        'race.start': '▶️ Start Race',
+        'race.leave': '🚪 Leave',
+        'race.unavailable': 'Racing is not available in this browser.',
+        'race.badCode': 'Room codes are 5 letters and digits, like K7QMP.',
+        'race.host': 'Host',
+        'race.player': 'Player',
+        'race.boardLabel': 'Race room {room}, round {round}',
+        'race.board': '🏁 Room {room} · round {round}',
+        'race.hostLeft': 'The host has left the room.',
+        'race.you': '(you)',
+        'race.solvedIn': '✅ {time}s',
+        'race.placed': '{placed}/{total} placed',
+        'race.checks': { one: '{count} check', other: '{count} checks' },
+
+        'replay.open': '🎬 Watch a Replay',
+        'replay.watchSession': '🎬 Watch This Session',
+        'replay.save': '⬇️ Save Session Log',
+        'replay.fileName': 'session',
+        'replay.errors.json': 'That file is not a session log.',
+        'replay.errors.version': 'That session log comes from a different version of the game.',
+        'replay.errors.invalid': 'That session log is damaged or has no rounds in it.',
+        'replay.label': 'Replay',
+        'replay.watching': 'Replaying round {index} of {total}.',
+        'replay.round': 'Round',
+        'replay.roundOption': '{index}: target {target}',
+        'replay.exit': '🚪 Exit Replay',
+        'replay.back': 'Step back',
+        'replay.forward': 'Step forward',
+        'replay.play': 'Play',
+        'replay.pause': 'Pause',
+        'replay.position': 'Position in the round',
+        'replay.step': 'Step {index} of {total}',
+        'replay.speed': 'Speed',
+        'replay.speedOption': '{speed}×',
+        'replay.elapsed': { one: '{count} second into the round', other: '{count} seconds into the round' },
+        'replay.start': 'The puzzle is dealt.',
+        'replay.add': 'Placed {piece}.',
+        'replay.remove': 'Took {piece} back.',
+        'replay.move': 'Moved {piece}.',
+        'replay.set': 'The equation became {pieces}.',
+        'replay.reset': 'Cleared the equation.',
+        'replay.hint': 'Took a hint: {text}',
+        'replay.hintReveal': 'Asked for the solution.',
+        'replay.reveal': 'The solution was shown.',
+        'replay.correct': 'Checked: correct!',
+        'replay.checkValue': 'Checked: that makes {value}.',
+        'replay.checkError': 'Checked: {message}',
+        'replay.timeUp': 'Time ran out.',
+        'replay.end.solved': 'Round over: solved.',
+        'replay.end.closest': 'Round over: kept the closest answer.',
+        'replay.end.skipped': 'Round over: moved on without solving it.',
+        'replay.end.timeUp': 'Round over: not solved in time.',
+
+        'share.title': 'Share this Puzzle',
+        'share.message': 'Anyone who opens this link gets this level {level} puzzle with the same pieces.',
+        'share.link': 'Puzzle link',
+        'share.copy': '📋 Copy Link',
+
+        'say.newPuzzle': {
+            one: 'New puzzle. Target {target}. {count} piece: {pieces}.',
+            other: 'New puzzle. Target {target}. {count} pieces: {pieces}.'
+        },
+        'say.hostDeals': 'The host starts the next round.',
+        'say.nothingToUndo': 'Nothing to undo.',
+        'say.nothingToRedo': 'Nothing to redo.',
+        'say.correct': 'Correct! Plus {points}.',
+        'say.correctNext': 'Correct! Plus {points}. Next puzzle.',
+        'say.notQuite': 'Not quite. {message}',
+        'say.notQuiteRepeated': 'Not quite. You tried this one before. {message}',
+        'say.hint': 'Hint {index} of {total}: {text}',
+        'say.brokenLink': 'That puzzle link is broken.',
+        'say.setProblems': { one: 'The puzzle set has {count} problem.', other: 'The puzzle set has {count} problems.' },
+        'say.roomOpen': 'Room {room} is open.',
+        'say.roomJoined': 'Joined room {room}.',
+        'say.copied': 'Link copied.',
+        'say.copyByHand': 'Press Control+C to copy the selected link.',
+        'say.kept': 'Answer kept. Plus {points}.',
+        'say.paused': 'Paused.',
+        'say.resumed': 'Resumed.',
+        'say.noPiece': 'No {piece} piece left.',
+        'say.start': 'Start of equation.',
+        'say.after': 'After {piece}.',
+        'say.buildFirst': 'Build your equation ({rule}) before checking.',
+        'say.secondsLeft': { one: '{count} second left.', other: '{count} seconds left.' },
+        'say.equation': 'Equation: {pieces}.',
+
+        'hints.orderPowers': 'powers (^) come before × and ÷, which come before + and −.',
+        'hints.order': '× and ÷ are worked out before + and −.',
+        'hints.parens': 'Parentheses are needed: one part has to be worked out first, and inside it {order}',
+        'hints.noParens': 'No parentheses here: {order}',
+        'hints.subvalue': 'Work out {expression} first: it makes {value}.',
+        'hints.prefix': 'Start your equation with these pieces: {pieces}',
+        'hints.reveal': 'Here is the full solution.',
+
+        'modes.classic.name': 'Classic',
+        'modes.classic.description': 'Use every piece before the round timer runs out.',
+        'modes.classic.rule': 'use all pieces',
+        'modes.zen.name': 'Zen',
+        'modes.zen.description': 'No timer. Take as long as you like.',
+        'modes.zen.rule': 'use all pieces',
+        'modes.sprint.name': 'Sprint',
+        'modes.sprint.description': 'Solve as many puzzles as you can in {minutes} minutes.',
+        'modes.sprint.rule': 'use all pieces',
+        'modes.countdown.name': 'Countdown',
+        'modes.countdown.description': 'Some pieces are spares. Get as close to the target as you can.',
+        'modes.countdown.rule': 'use any pieces',
+        'modes.race.name': 'Race',
+        'modes.race.description': 'Everyone in the room gets the same puzzle. First to solve it wins the round.',
+        'modes.race.rule': 'use all pieces',
+
+        'misconceptions.power-as-product.name': 'Powers',
+        'misconceptions.power-as-product.message': 'A power is repeated multiplication: 3^2 means 3 × 3, not 3 × 2.',
+        'misconceptions.swapped-division.name': 'Order in division',
+        'misconceptions.swapped-division.message': 'Check the order around ÷: 8 ÷ 2 is not the same as 2 ÷ 8.',
+        'misconceptions.swapped-subtraction.name': 'Order in subtraction',
+        'misconceptions.swapped-subtraction.message': 'Check the order around −: 7 − 3 is not the same as 3 − 7.',
+        'misconceptions.left-to-right.name': 'Order of operations',
+        'misconceptions.left-to-right.message': 'Worked out left to right this would be right, but × and ÷ are done before + and −.',
+        'misconceptions.parentheses.name': 'Placing parentheses',
+        'misconceptions.parentheses.message': 'The parentheses are around the wrong part. Whatever is inside ( ) is worked out first.',
+
+        'tiers.twoDigit': 'Two-digit numbers',
+        'tiers.negatives': 'Negative numbers',
+        'tiers.powers': 'Powers (^)',
+        'tiers.fractions': 'Fraction targets'
+    }
+};
@@ -0,0 +1,386 @@
+// Spanish. Products and quotients are written the way Spanish schools
+// write them, with · and :.
+
+export default {
+    id: 'es',
+    name: 'Español',
+    dir: 'ltr',
+    operators: { '+': '+', '-': '−', '*': '·', '/': ':', '^': '^', '(': '(', ')': ')' },
+    spoken: {
+        '+': 'más',
+        '-': 'menos',
+        '*': 'por',
+        '/': 'entre',
+        '^': 'elevado a',
+        '(': 'abre paréntesis',
+        ')': 'cierra paréntesis',
+        empty: 'vacía',
+        negative: 'menos',
+        over: 'sobre'
+    },
+    messages: {
+        'rotate.title': 'Gira tu dispositivo',
+        'rotate.body': 'Este juego está pensado para jugarse en horizontal.',
+
+        'header.back': 'Volver',
+        'header.levelMap': 'Mapa de niveles',
+        'header.badges': 'Insignias',
+        'header.title': 'CONSTRUCTOR DE ECUACIONES',
+        'header.language': 'Idioma',
+
+        'sync.synced': 'Guardado',
+        'sync.syncing': 'Guardando…',
+        'sync.pending': 'Pendiente de sincronizar',
+        'sync.offline': 'Sin conexión – guardado en este dispositivo',
+
+        'board.label': 'Constructor de ecuaciones',
+        'board.target': 'NÚMERO OBJETIVO',
+        'board.noTimeLimit': 'Sin límite de tiempo',
+        'board.secondsLeft': { one: 'Queda {count} segundo', other: 'Quedan {count} segundos' },
+        'board.timer': '{count} s',
+        'banner.daily': '📅 Reto diario · {date}',
+        'banner.shared': '🔗 Puzle compartido',
+        'banner.practice': '🎯 Práctica: {name}',
+        'banner.set': '📚 {name} · puzle {entry} de {total}',
+
+        'status.mode': 'MODO',
+        'status.level': 'NIVEL',
+        'status.score': 'PUNTOS',
+        'status.difficulty': 'DIFICULTAD',
+        'status.puzzle': 'PUZLE',
+        'status.bestStreak': 'Mejor racha: {count}',
+        'difficulty.easy': 'fácil',
+        'difficulty.medium': 'media',
+        'difficulty.hard': 'difícil',
+
+        'pieces.title': '📦 Piezas disponibles (haz clic o arrastra)',
+        'pieces.label': 'Piezas disponibles',
+        'pieces.used': '{piece}, usada',
+        'equation.title': '🔧 Construye tu ecuación aquí ({rule})',
+        'equation.undo': 'Deshacer',
+        'equation.undoTitle': 'Deshacer (Ctrl+Z)',
+        'equation.redo': 'Rehacer',
+        'equation.redoTitle': 'Rehacer (Ctrl+Mayús+Z)',
+        'equation.label': 'Tu ecuación',
+        'equation.piece': '{piece}, posición {position}. Quitar',
+        'equation.placeholder': 'Construye tu ecuación aquí',
+        'equation.soFar': 'Por ahora:',
+        'equation.keepBuilding': 'Sigue construyendo…',
+        'equation.unmatched': { one: '⚠ {count} paréntesis sin pareja', other: '⚠ {count} paréntesis sin pareja' },
+        'equation.check': '✅ Comprobar',
+        'equation.tried': '📜 Ya probado ({count})',
+        'solution.title': '✨ Solución:',
+        'solution.numbered': '✨ Solución {index} de {total}:',
+        'solution.numberedAtLeast': '✨ Solución {index} de al menos {total}:',
+
+        'actions.newRound': '+ Nueva ronda',
+        'actions.hint': '💡 Pista',
+        'actions.hintReveal': '💡 Pista (sin puntos)',
+        'actions.hintCost': '💡 Pista (−{cost})',
+        'actions.reset': '🔄 Borrar',
+        'actions.solution': '✅ Solución',
+        'actions.anotherSolution': '🔁 Otra solución',
+        'actions.pause': '⏸️ Pausa',
+        'actions.share': '🔗 Compartir',
+        'actions.mode': '🎮 Modo',
+
+        'common.close': 'Cerrar',
+        'common.points': { one: '{count} punto', other: '{count} puntos' },
+        'common.yourName': 'Tu nombre',
+
+        'welcome.title': 'Constructor de ecuaciones',
+        'welcome.intro': '¡Te damos la bienvenida al Constructor de ecuaciones! 🎯',
+        'welcome.howTo': '📝 Cómo se juega:',
+        'welcome.rule1': 'Verás un <b>número objetivo</b> al que llegar',
+        'welcome.rule2': '<b>Haz clic o arrastra las piezas</b> (números y operadores) para construir una ecuación',
+        'welcome.rule3': 'Suelta una pieza entre otras para insertarla, o devuélvela a la bandeja para quitarla',
+        'welcome.rule4': 'Usa <b>TODAS las piezas una sola vez</b>',
+        'welcome.rule5': 'Tu ecuación debe dar el número objetivo',
+        'welcome.rule6': 'Pulsa <b>Comprobar</b> al terminar para revisar tu respuesta',
+        'welcome.tips': '💡 Consejos:',
+        'welcome.tip1': 'Los paréntesis ( ) significan «esto primero»',
+        'welcome.tip2': 'Usa el botón <b>Pista</b> si te atascas',
+        'welcome.tip3': 'El reloj corre, ¡pero tómate tu tiempo para pensar!',
+        'welcome.keyboard': '<b>Teclado:</b> escribe un número u operador para colocarlo, ← → para moverte, '
+            + 'Retroceso para quitar, Intro para comprobar, H para una pista, R para borrar, '
+            + 'N para una ronda nueva, P para pausar, Ctrl+Z para deshacer y Ctrl+Mayús+Z para rehacer',
+        'welcome.chooseMode': '🎮 Elige un modo:',
+        'welcome.ready': '¿Listo para resolver puzles? ¡Vamos! 🚀',
+        'welcome.start': 'Empezar 🎮',
+        'welcome.daily': '📅 Reto diario',
+        'welcome.race': '🏁 Carrera',
+        'welcome.loadSet': '📂 Cargar colección',
+        'welcome.setErrors': 'No se pudo cargar esta colección de puzles:',
+        'welcome.setErrorEntry': 'Puzle {entry}: {message}',
+
+        'setErrors.json': 'El archivo no es un JSON válido.',
+        'setErrors.no-list': 'Se esperaba una lista de puzles, o un objeto con una lista "puzzles".',
+        'setErrors.csv-header': 'La primera fila del CSV debe nombrar las columnas: expression, pieces, target, time_limit.',
+        'setErrors.empty': 'La colección no tiene puzles.',
+        'setErrors.not-entry': 'Esto no es un puzle.',
+        'setErrors.missing': 'Indica una expresión, o piezas y un objetivo.',
+        'setErrors.time-limit': 'El límite de tiempo tiene que ser un número entero de segundos entre {min} y {max}.',
+        'setErrors.bad-target': 'El objetivo "{target}" no es un número entero ni una fracción como 7/2.',
+        'setErrors.bad-piece': 'La pieza "{piece}" no es un número, un operador ni un paréntesis.',
+        'setErrors.no-numbers': 'Las piezas necesitan al menos un número.',
+        'setErrors.bad-expression': 'La expresión "{expression}" no se puede calcular: {reason}',
+        'setErrors.wrong-target': 'La expresión da {value}, no el objetivo {target}.',
+        'setErrors.pieces-mismatch': 'Las piezas no coinciden con la expresión.',
+        'setErrors.no-target': 'Las piezas necesitan un objetivo.',
+        'setErrors.impossible': 'Con estas piezas no se puede llegar a {target}.',
+        'setErrors.unchecked': 'No se pudo comprobar que las piezas lleguen a {target}; añade la expresión que deben formar.',
+
+        'timeUp.title': '¡Se acabó el tiempo!',
+        'timeUp.closest': 'Tu respuesta más cercana se quedó a {distance}: +{points}.',
+        'timeUp.message': 'El tiempo ha terminado. ¿Quieres intentarlo de nuevo?',
+        'timeUp.replay': '🔄 Repetir',
+
+        'correct.title': '¡Conseguido!',
+        'correct.keptTitle': '¡Respuesta guardada!',
+        'correct.excellent': '¡Excelente trabajo!',
+        'correct.points': '+{points}. ¿Listo para el siguiente reto?',
+        'correct.stars': '{count} de {max} estrellas',
+        'correct.unlocks': '🔓 El siguiente nivel desbloquea: <b>{tier}</b>',
+        'correct.nextRound': '➡️ Siguiente ronda',
+        'correct.waiting': 'Esperando a que el anfitrión empiece la siguiente ronda…',
+        'correct.leaveRace': '🚪 Salir de la carrera',
+        'correct.keepPlaying': '▶️ Seguir jugando',
+        'correct.nextLevel': '➡️ Siguiente nivel',
+        'correct.nextPuzzle': '➡️ Siguiente puzle',
+        'score.puzzle': 'Puzle ({difficulty})',
+        'score.away': 'A {distance} ({difficulty})',
+        'score.base': 'base',
+        'score.timeBonus': 'Bonus de tiempo',
+        'score.streak': '🔥 Racha de {count}',
+        'score.hints': { one: '{count} pista usada', other: '{count} pistas usadas' },
+        'score.wrongChecks': 'Comprobaciones fallidas',
+        'score.revealed': 'Solución mostrada',
+        'score.noPoints': 'sin puntos',
+        'score.total': 'Total de la ronda',
+
+        'wrong.title': '¡Inténtalo otra vez!',
+        'wrong.youGot': 'Te ha dado',
+        'wrong.none': 'N/D',
+        'wrong.target': 'Objetivo',
+        'wrong.step': 'Paso {index} de {total}',
+        'wrong.undefined': 'sin valor',
+        'wrong.back': '◀ Atrás',
+        'wrong.next': 'Siguiente ▶',
+        'wrong.repeated': '🔁 Ya habías probado esta misma ecuación.',
+        'wrong.misconception': '🧠 Error frecuente: <b>{name}</b>',
+        'wrong.tryAgain': 'Otra vez',
+        'wrong.keep': '🎯 Quedarme con {value} (+{points})',
+
+        'check.use-every-piece': 'Usa cada pieza una sola vez.',
+        'check.only-tray-pieces': 'Usa solo las piezas de la bandeja.',
+        'check.rearrange': '¡Prueba a reordenar las piezas!',
+        'check.away': 'A {distance} del objetivo.',
+
+        'errors.empty': 'Primero construye una ecuación.',
+        'errors.invalid-token': 'Esta pieza no es un número, un operador ni un paréntesis.',
+        'errors.unexpected-token': 'Esta pieza está en un sitio equivocado.',
+        'errors.unexpected-end': 'La ecuación termina antes de tiempo.',
+        'errors.unbalanced-parens': 'Este paréntesis no tiene pareja.',
+        'errors.divide-by-zero': 'Aquí no se puede dividir entre cero.',
+        'errors.bad-exponent': 'Las potencias necesitan un exponente entero entre −{max} y {max}.',
+        'errors.not-integer': 'El resultado tiene que ser un número entero.',
+        'errors.overflow': 'Los números se han hecho demasiado grandes.',
+
+        'sprint.title': '¡Fin del sprint!',
+        'sprint.summary': { one: 'Has resuelto {count} puzle y has sumado {points}.', other: 'Has resuelto {count} puzles y has sumado {points}.' },
+        'sprint.solved': 'Resueltos',
+        'sprint.skipped': 'Saltados',
+        'sprint.bestRun': 'Mejor sprint',
+        'sprint.bestRunValue': { one: '{count} resuelto', other: '{count} resueltos' },
+        'sprint.points': 'Puntos',
+        'sprint.again': '🔄 Otro sprint',
+        'sprint.changeMode': '🎮 Cambiar de modo',
+
+        'levels.title': 'Mapa de niveles',
+        'levels.summary': '{stars} de {total} estrellas. Elige cualquier nivel desbloqueado para volver a jugarlo.',
+        'levels.locked': 'Nivel {level}, bloqueado',
+        'levels.tile': 'Nivel {level}, {stars} de {max} estrellas',
+        'levels.tileCurrent': 'Nivel {level}, {stars} de {max} estrellas, nivel actual',
+        'levels.new': 'Novedad: {tiers}',
+
+        'badges.title': 'Insignias',
+        'badges.summary': 'Has conseguido {unlocked} de {total} insignias.',
+        'badges.earned': '✅ Conseguida',
+        'badges.locked': '🔒 Todavía no',
+        'badges.progress': '{current}/{goal}',
+        'badges.unlocked': '¡Insignia desbloqueada!',
+        'achievements.first-solve.name': 'Primer acierto',
+        'achievements.first-solve.description': 'Resuelve tu primer puzle.',
+        'achievements.ten-solves.name': 'Diez resueltos',
+        'achievements.ten-solves.description': 'Resuelve {goal} puzles.',
+        'achievements.fifty-solves.name': 'Campeón de puzles',
+        'achievements.fifty-solves.description': 'Resuelve {goal} puzles.',
+        'achievements.no-hints-five.name': 'Racha imparable',
+        'achievements.no-hints-five.description': 'Resuelve {goal} puzles seguidos sin pistas.',
+        'achievements.first-try.name': 'En el blanco',
+        'achievements.first-try.description': 'Resuelve un puzle a la primera, sin pistas.',
+        'achievements.six-pieces.name': 'Puzle grande',
+        'achievements.six-pieces.description': 'Resuelve un puzle usando {goal} números o más.',
+        'achievements.quick.name': 'Mente rápida',
+        'achievements.quick.description': 'Resuelve un puzle con más de {goal} segundos de sobra.',
+        'achievements.divider.name': 'Divisor',
+        'achievements.divider.description': 'Usa la división en {goal} respuestas correctas.',
+        'achievements.powers.name': 'Con potencia',
+        'achievements.powers.description': 'Resuelve un puzle usando una potencia.',
+        'achievements.comeback.name': 'Nunca te rindas',
+        'achievements.comeback.description': 'Resuelve un puzle después de {goal} comprobaciones fallidas.',
+        'achievements.daily.name': 'Jugador diario',
+        'achievements.daily.description': 'Resuelve el puzle del día.',
+        'achievements.level-ten.name': 'Gran escalador',
+        'achievements.level-ten.description': 'Resuelve un puzle del nivel {goal} o superior.',
+
+        'paused.title': 'En pausa',
+        'paused.break': 'Tómate un descanso.',
+        'paused.clock': { one: 'El reloj está parado con {count} segundo restante.', other: 'El reloj está parado con {count} segundos restantes.' },
+        'paused.resume': '▶️ Continuar',
+
+        'set.title': '¡Colección terminada!',
+        'set.summary': 'Has acertado {correct} de {total} puzles de «{name}».',
+        'set.download': '⬇️ Descargar resultados',
+        'set.fileName': 'resultados',
+        'set.csvYes': 'sí',
+        'set.csvNo': 'no',
+        'set.csvNotPlayed': 'sin jugar',
+        'set.keepPlaying': '➡️ Seguir jugando',
+
+        'race.title': 'Carrera',
+        'race.intro': 'Todos en una sala reciben el mismo puzle. Abre una sala y di su código en voz alta, o únete a una.',
+        'race.open': '➕ Abrir una sala',
+        'race.code': 'Código de sala',
+        'race.join': '🚪 Unirme',
+        'race.room': 'Sala',
+        'race.hostIntro': 'Comparte el código. Empieza cuando estén todos.',
+        'race.guestIntro': 'Esperando a que el anfitrión empiece la carrera…',
+        'race.looking': 'Buscando la sala…',
+        'race.start': '▶️ Empezar carrera',
+        'race.leave': '🚪 Salir',
+        'race.unavailable': 'Las carreras no funcionan en este navegador.',
+        'race.badCode': 'Los códigos de sala tienen 5 letras y cifras, como K7QMP.',
+        'race.host': 'Anfitrión',
+        'race.player': 'Jugador',
+        'race.boardLabel': 'Sala de carrera {room}, ronda {round}',
+        'race.board': '🏁 Sala {room} · ronda {round}',
+        'race.hostLeft': 'El anfitrión ha salido de la sala.',
+        'race.you': '(tú)',
+        'race.solvedIn': '✅ {time} s',
+        'race.placed': '{placed}/{total} colocadas',
+        'race.checks': { one: '{count} intento', other: '{count} intentos' },
+
+        'replay.open': '🎬 Ver una repetición',
+        'replay.watchSession': '🎬 Ver esta sesión',
+        'replay.save': '⬇️ Guardar registro de la sesión',
+        'replay.fileName': 'sesion',
+        'replay.errors.json': 'Ese archivo no es un registro de sesión.',
+        'replay.errors.version': 'Ese registro de sesión es de otra versión del juego.',
+        'replay.errors.invalid': 'Ese registro de sesión está dañado o no tiene rondas.',
+        'replay.label': 'Repetición',
+        'replay.watching': 'Repitiendo la ronda {index} de {total}.',
+        'replay.round': 'Ronda',
+        'replay.roundOption': '{index}: objetivo {target}',
+        'replay.exit': '🚪 Salir de la repetición',
+        'replay.back': 'Paso atrás',
+        'replay.forward': 'Paso adelante',
+        'replay.play': 'Reproducir',
+        'replay.pause': 'Pausar',
+        'replay.position': 'Posición en la ronda',
+        'replay.step': 'Paso {index} de {total}',
+        'replay.speed': 'Velocidad',
+        'replay.speedOption': '{speed}×',
+        'replay.elapsed': { one: '{count} segundo de ronda', other: '{count} segundos de ronda' },
+        'replay.start': 'Se reparte el puzle.',
+        'replay.add': 'Colocó {piece}.',
+        'replay.remove': 'Retiró {piece}.',
+        'replay.move': 'Movió {piece}.',
+        'replay.set': 'La ecuación pasó a ser {pieces}.',
+        'replay.reset': 'Vació la ecuación.',
+        'replay.hint': 'Pidió una pista: {text}',
+        'replay.hintReveal': 'Pidió la solución.',
+        'replay.reveal': 'Se mostró la solución.',
+        'replay.correct': 'Comprobó: ¡correcto!',
+        'replay.checkValue': 'Comprobó: da {value}.',
+        'replay.checkError': 'Comprobó: {message}',
+        'replay.timeUp': 'Se acabó el tiempo.',
+        'replay.end.solved': 'Fin de la ronda: resuelto.',
+        'replay.end.closest': 'Fin de la ronda: se quedó con la respuesta más cercana.',
+        'replay.end.skipped': 'Fin de la ronda: pasó al siguiente sin resolverlo.',
+        'replay.end.timeUp': 'Fin de la ronda: no lo resolvió a tiempo.',
+
+        'share.title': 'Compartir este puzle',
+        'share.message': 'Quien abra este enlace recibirá este puzle de nivel {level} con las mismas piezas.',
+        'share.link': 'Enlace al puzle',
+        'share.copy': '📋 Copiar enlace',
+
+        'say.newPuzzle': {
+            one: 'Puzle nuevo. Objetivo {target}. {count} pieza: {pieces}.',
+            other: 'Puzle nuevo. Objetivo {target}. {count} piezas: {pieces}.'
+        },
+        'say.hostDeals': 'El anfitrión empieza la siguiente ronda.',
+        'say.nothingToUndo': 'No hay nada que deshacer.',
+        'say.nothingToRedo': 'No hay nada que rehacer.',
+        'say.correct': '¡Correcto! Más {points}.',
+        'say.correctNext': '¡Correcto! Más {points}. Siguiente puzle.',
+        'say.notQuite': 'No del todo. {message}',
+        'say.notQuiteRepeated': 'No del todo. Ya habías probado esta. {message}',
+        'say.hint': 'Pista {index} de {total}: {text}',
+        'say.brokenLink': 'Ese enlace de puzle no funciona.',
+        'say.setProblems': { one: 'La colección tiene {count} problema.', other: 'La colección tiene {count} problemas.' },
+        'say.roomOpen': 'La sala {room} está abierta.',
+        'say.roomJoined': 'Te has unido a la sala {room}.',
+        'say.copied': 'Enlace copiado.',
+        'say.copyByHand': 'Pulsa Control+C para copiar el enlace seleccionado.',
+        'say.kept': 'Respuesta guardada. Más {points}.',
+        'say.paused': 'En pausa.',
+        'say.resumed': 'Continuamos.',
+        'say.noPiece': 'No queda ninguna pieza {piece}.',
+        'say.start': 'Inicio de la ecuación.',
+        'say.after': 'Después de {piece}.',
+        'say.buildFirst': 'Construye tu ecuación ({rule}) antes de comprobar.',
+        'say.secondsLeft': { one: 'Queda {count} segundo.', other: 'Quedan {count} segundos.' },
+        'say.equation': 'Ecuación: {pieces}.',
+
+        'hints.orderPowers': 'las potencias (^) van antes que · y :, que van antes que + y −.',
+        'hints.order': '· y : se calculan antes que + y −.',
+        'hints.parens': 'Hacen falta paréntesis: una parte se calcula primero, y dentro de ella {order}',
+        'hints.noParens': 'Aquí no hay paréntesis: {order}',
+        'hints.subvalue': 'Calcula primero {expression}: da {value}.',
+        'hints.prefix': 'Empieza tu ecuación con estas piezas: {pieces}',
+        'hints.reveal': 'Aquí tienes la solución completa.',
+
+        'modes.classic.name': 'Clásico',
+        'modes.classic.description': 'Usa todas las piezas antes de que se acabe el tiempo de la ronda.',
+        'modes.classic.rule': 'usa todas las piezas',
+        'modes.zen.name': 'Zen',
+        'modes.zen.description': 'Sin reloj. Tómate el tiempo que quieras.',
+        'modes.zen.rule': 'usa todas las piezas',
+        'modes.sprint.name': 'Sprint',
+        'modes.sprint.description': 'Resuelve todos los puzles que puedas en {minutes} minutos.',
+        'modes.sprint.rule': 'usa todas las piezas',
+        'modes.countdown.name': 'Cuenta atrás',
+        'modes.countdown.description': 'Algunas piezas sobran. Acércate al objetivo todo lo que puedas.',
+        'modes.countdown.rule': 'usa las piezas que quieras',
+        'modes.race.name': 'Carrera',
+        'modes.race.description': 'Todos en la sala reciben el mismo puzle. Quien lo resuelva primero gana la ronda.',
+        'modes.race.rule': 'usa todas las piezas',
+
+        'misconceptions.power-as-product.name': 'Potencias',
+        'misconceptions.power-as-product.message': 'Una potencia es una multiplicación repetida: 3^2 es 3 · 3, no 3 · 2.',
+        'misconceptions.swapped-division.name': 'Orden en la división',
+        'misconceptions.swapped-division.message': 'Revisa el orden alrededor de ":": 8 : 2 no es lo mismo que 2 : 8.',
+        'misconceptions.swapped-subtraction.name': 'Orden en la resta',
+        'misconceptions.swapped-subtraction.message': 'Revisa el orden alrededor de "−": 7 − 3 no es lo mismo que 3 − 7.',
+        'misconceptions.left-to-right.name': 'Jerarquía de operaciones',
+        'misconceptions.left-to-right.message': 'De izquierda a derecha estaría bien, pero · y : se hacen antes que + y −.',
+        'misconceptions.parentheses.name': 'Colocar paréntesis',
+        'misconceptions.parentheses.message': 'Los paréntesis rodean la parte equivocada. Lo que está dentro de ( ) se calcula primero.',
+
+        'tiers.twoDigit': 'Números de dos cifras',
+        'tiers.negatives': 'Números negativos',
+        'tiers.powers': 'Potencias (^)',
+        'tiers.fractions': 'Objetivos con fracciones'
+    }
+};
@@ -0,0 +1,183 @@
+// Known misconceptions behind wrong answers. Each one is a way of misreading
+// an equation: `misread` lists the values a student holding it would get.
+// A wrong answer that one of those misreadings turns into the target is
+// put down to that misconception. A puzzle is good practice for it when the
+// misreadings get its answer wrong, or, for the two about grouping, when
+// its answer depends on how the pieces are grouped. One that needs a
+// content tier (see tiers.js) names it as `tier`, and is only practised
+// once that tier unlocks.
+
+import { applyOp, equals, evaluate, evaluateAst, negate, parse, parseRational, rational } from './expression.js';
+
+// Open mistakes (seen minus fixed) needed before practice rounds start
+export const PRACTICE_THRESHOLD = 2;
+
+// Evaluates with every operator on one level, strictly left to right, as a
+// student who ignores precedence would; parentheses still group.
+const evaluateLeftToRight = (tokens) => {
+    let i = 0;
+    const operand = () => {
+        const t = tokens[i++];
+        if (t === '-') {
+            const body = operand();
+            return body && negate(body);
+        }
+        if (t === '(') {
+            const inner = group();
+            return tokens[i++] === ')' ? inner : null;
+        }
+        return /^\d+$/.test(t) ? rational(Number(t)) : null;
+    };
+    const group = () => {
+        let value = operand();
+        while (value && i < tokens.length && tokens[i] !== ')') {
+            const op = tokens[i++];
+            const right = operand();
+            value = right && applyOp(op, value, right);
+        }
+        return value;
+    };
+    const value = group();
+    return value && i === tokens.length ? value : null;
+};
+
+// Every copy of the tree with exactly one binary node rewritten by `change`
+// (which returns null for nodes it leaves alone)
+const rewrites = (node, change) => {
+    if (node.type === 'num') return [];
+    if (node.type === 'paren' || node.type === 'neg') {
+        return rewrites(node.body, change).map(body => ({ ...node, body }));
+    }
+    const own = change(node);
+    return [
+        ...(own ? [own] : []),
+        ...rewrites(node.left, change).map(left => ({ ...node, left })),
+        ...rewrites(node.right, change).map(right => ({ ...node, right }))
+    ];
+};
+
+const rewrittenValues = (change) => (tokens) => {
+    const parsed = parse(tokens);
+    if (!parsed.ok) return [];
+    return rewrites(parsed.ast, change).map(ast => evaluateAst(ast)).filter(r => r.ok).map(r => r.value);
+};
+
+const swapOperands = (op) => (node) => (node.op === op ? { ...node, left: node.right, right: node.left } : null);
+
+const withoutParens = (tokens) => tokens.filter(t => t !== '(' && t !== ')');
+
+// The same pieces with the parentheses around some other run of pieces
+const replacedParens = (tokens) => {
+    if (!tokens.includes('(')) return [];
+    const bare = withoutParens(tokens);
+    const values = [];
+    for (let i = 0; i < bare.length; i++) {
+        for (let j = i + 1; j <= bare.length; j++) {
+            const result = evaluate([...bare.slice(0, i), '(', ...bare.slice(i, j), ')', ...bare.slice(j)]);
+            if (result.ok) values.push(result.value);
+        }
+    }
+    return values;
+};
+
+// Checked in this order; the first that explains a wrong answer wins
+export const MISCONCEPTIONS = {
+    'power-as-product': {
+        id: 'power-as-product',
+        name: 'Powers',
+        message: 'A power is repeated multiplication: 3^2 means 3 × 3, not 3 × 2.',
+        misread: rewrittenValues(node => (node.op === '^' ? { ...node, op: '*' } : null)),
+        tier: 'powers',
+        practiceWeights: { '+': 0.25, '-': 0.15, '*': 0.25, '/': 0.1, '^': 0.25 }
+    },
+    'swapped-division': {
+        id: 'swapped-division',
+        name: 'Order in division',
+        message: 'Check the order around ÷: 8 ÷ 2 is not the same as 2 ÷ 8.',
+        misread: rewrittenValues(swapOperands('/')),
+        practiceWeights: { '+': 0.2, '-': 0.1, '*': 0.2, '/': 0.5 }
+    },
+    'swapped-subtraction': {
+        id: 'swapped-subtraction',
+        name: 'Order in subtraction',
+        message: 'Check the order around −: 7 − 3 is not the same as 3 − 7.',
+        misread: rewrittenValues(swapOperands('-')),
+        practiceWeights: { '+': 0.2, '-': 0.5, '*': 0.2, '/': 0.1 }
+    },
+    'left-to-right': {
+        id: 'left-to-right',
+        name: 'Order of operations',
+        message: 'Worked out left to right this would be right, but × and ÷ are done before + and −.',
+        misread: (tokens) => {
+            const value = evaluateLeftToRight(tokens);
+            return value ? [value] : [];
+        },
+        // Generated trays are fully parenthesised, so look at the bare pieces
+        // a student would arrange: precedence has to change their value
+        practises: (tokens) => {
+            const bare = withoutParens(tokens);
+            const value = evaluateLeftToRight(bare);
+            const result = evaluate(bare);
+            return !!value && result.ok && !equals(value, result.value);
+        },
+        practiceWeights: { '+': 0.35, '-': 0.15, '*': 0.35, '/': 0.15 }
+    },
+    'parentheses': {
+        id: 'parentheses',
+        name: 'Placing parentheses',
+        message: 'The parentheses are around the wrong part. Whatever is inside ( ) is worked out first.',
+        misread: replacedParens,
+        // The answer needs parentheses: without them the pieces make something else
+        practises: (tokens) => {
+            const bare = evaluate(withoutParens(tokens));
+            const result = evaluate(tokens);
+            return result.ok && (!bare.ok || !equals(bare.value, result.value));
+        },
+        practiceWeights: { '+': 0.35, '-': 0.15, '*': 0.35, '/': 0.15 }
+    }
+};
+
+// The misconception that explains a wrong answer, or null. `tokens` must
+// evaluate, to something other than the target.
+export const classifyMistake = (tokens, target) => {
+    const goal = parseRational(target);
+    const found = Object.values(MISCONCEPTIONS).find(m => m.misread(tokens).some(value => equals(value, goal)));
+    return found ? found.id : null;
+};
+
+// Whether a puzzle's solution is good practice for the misconception
+export const exercises = (id, tokens) => {
+    const { practises } = MISCONCEPTIONS[id];
+    if (practises) return practises(tokens);
+    const result = evaluate(tokens);
+    if (!result.ok) return false;
+    return MISCONCEPTIONS[id].misread(tokens).some(value => !equals(value, result.value));
+};
+
+// --- Records ---
+// Per student: { [id]: { seen, fixed } }. Both only ever count up, so
+// copies from different devices merge by taking the larger of each.
+export const recordMistake = (records, id) => ({
+    ...records,
+    [id]: { seen: (records[id]?.seen || 0) + 1, fixed: records[id]?.fixed || 0 }
+});
+
+// A clean solve of a practice puzzle pays off one mistake
+export const recordPractice = (records, id) => ({
+    ...records,
+    [id]: { seen: records[id]?.seen || 0, fixed: Math.min(records[id]?.seen || 0, (records[id]?.fixed || 0) + 1) }
+});
+
+const openMistakes = (record) => (record?.seen || 0) - (record?.fixed || 0);
+
+// Whether a level with `content` (from getContentForLevel) can practise it
+export const canPractise = (id, content) => !MISCONCEPTIONS[id].tier || !!content[MISCONCEPTIONS[id].tier];
+
+// The misconception with the most open mistakes, once there are enough to
+// practise; null otherwise. With `content`, only ones the level can practise.
+export const weakestMisconception = (records = {}, content = null) => {
+    const [weakest] = Object.keys(MISCONCEPTIONS)
+        .filter(id => openMistakes(records[id]) >= PRACTICE_THRESHOLD && (!content || canPractise(id, content)))
+        .sort((a, b) => openMistakes(records[b]) - openMistakes(records[a]));
+    return weakest ?? null;
+};
@@ -0,0 +1,124 @@
+// Game modes. Each mode owns its rules: which clock runs, when an attempt
+// can be checked and how it is graded and scored, and what it keeps in the
+// student's progress. The component only ever asks the active mode.
+//
+//   clock     'round' restarts per puzzle, 'session' runs once for the whole
+//             run, 'none' never runs out
+//   levelsUp  whether a solved puzzle moves the student to the next level
+//   adaptive  whether rounds feed the adaptive difficulty rating
+//   record    folds a finished round (or, for session modes, a finished
+//             run) into this mode's saved records
+//   roomOnly  only played inside a race room (see race.js), never picked
+//             from the mode list
+
+import { addSparePieces, gradeAttempt, gradeSubsetAttempt } from './engine.js';
+import { scoreCountdown, scoreRound } from './scoring.js';
+
+export const DEFAULT_MODE = 'classic';
+const SPRINT_SECONDS = 180;
+
+const usesEveryPiece = ({ used, total }) => used > 0 && used === total;
+const usesAnyPiece = ({ used }) => used > 0;
+
+const countSolved = (records = {}, result) => ({
+    ...records,
+    solved: (records.solved || 0) + (result.solved ? 1 : 0)
+});
+
+export const MODES = {
+    classic: {
+        id: 'classic',
+        name: 'Classic',
+        icon: '⏱️',
+        description: 'Use every piece before the round timer runs out.',
+        piecesRule: 'use all pieces',
+        clock: 'round',
+        levelsUp: true,
+        adaptive: true,
+        preparePuzzle: (puzzle) => puzzle,
+        canCheck: usesEveryPiece,
+        grade: gradeAttempt,
+        score: scoreRound,
+        record: countSolved
+    },
+    zen: {
+        id: 'zen',
+        name: 'Zen',
+        icon: '🧘',
+        description: 'No timer. Take as long as you like.',
+        piecesRule: 'use all pieces',
+        clock: 'none',
+        levelsUp: true,
+        // Without a time limit, solve times say little about skill
+        adaptive: false,
+        preparePuzzle: (puzzle) => puzzle,
+        canCheck: usesEveryPiece,
+        grade: gradeAttempt,
+        score: (round) => scoreRound({ ...round, timeLeft: 0 }),
+        record: countSolved
+    },
+    sprint: {
+        id: 'sprint',
+        name: 'Sprint',
+        icon: '🏃',
+        description: `Solve as many puzzles as you can in ${SPRINT_SECONDS / 60} minutes.`,
+        piecesRule: 'use all pieces',
+        clock: 'session',
+        sessionSeconds: SPRINT_SECONDS,
+        levelsUp: false,
+        adaptive: true,
+        preparePuzzle: (puzzle) => puzzle,
+        canCheck: usesEveryPiece,
+        grade: gradeAttempt,
+        // The clock is shared, so there is no per-puzzle time bonus
+        score: (round) => scoreRound({ ...round, timeLeft: 0 }),
+        record: (records = {}, run) => ({
+            runs: (records.runs || 0) + 1,
+            bestSolved: Math.max(records.bestSolved || 0, run.solved),
+            bestScore: Math.max(records.bestScore || 0, run.points)
+        })
+    },
+    countdown: {
+        id: 'countdown',
+        name: 'Countdown',
+        icon: '🎯',
+        description: 'Some pieces are spares. Get as close to the target as you can.',
+        piecesRule: 'use any pieces',
+        clock: 'round',
+        levelsUp: true,
+        adaptive: false,
+        preparePuzzle: (puzzle, settings) => addSparePieces(puzzle, { maxNumber: settings.maxNumber }),
+        canCheck: usesAnyPiece,
+        grade: gradeSubsetAttempt,
+        score: scoreCountdown,
+        record: (records = {}, result) => ({
+            played: (records.played || 0) + 1,
+            exact: (records.exact || 0) + (result.solved ? 1 : 0)
+        })
+    },
+    race: {
+        id: 'race',
+        name: 'Race',
+        icon: '🏁',
+        description: 'Everyone in the room gets the same puzzle. First to solve it wins the round.',
+        piecesRule: 'use all pieces',
+        // The race is against the others, not a clock
+        clock: 'none',
+        levelsUp: false,
+        adaptive: false,
+        roomOnly: true,
+        preparePuzzle: (puzzle) => puzzle,
+        canCheck: usesEveryPiece,
+        grade: gradeAttempt,
+        score: (round) => scoreRound({ ...round, timeLeft: 0 }),
+        record: (records = {}, result) => ({
+            played: (records.played || 0) + 1,
+            solved: (records.solved || 0) + (result.solved ? 1 : 0)
+        })
+    }
+};
+
+// The modes a student can pick from the mode list
+export const PICKABLE_MODES = Object.values(MODES).filter(mode => !mode.roomOnly);
+
+export const getMode = (id) => MODES[id] || MODES[DEFAULT_MODE];
@@ -0,0 +1,285 @@
+// Offline-first progress. The copy in localStorage is the source of truth;
+// writes to the server go through a persisted queue that is retried with
+// backoff, and the server copy is merged back in whenever we reconnect.
+
+import { useEffect, useRef, useState } from 'react';
+import { TALLIES } from './achievements.js';
+
+export const SYNC_STATUS = {
+    SYNCED: 'synced',
+    SYNCING: 'syncing',
+    PENDING: 'pending',
+    OFFLINE: 'offline'
+};
+
+const BASE_DELAY = 1000;
+const MAX_DELAY = 60000;
+
+// Where progress is read and written; a host page can point these elsewhere
+export const DEFAULT_ENDPOINTS = {
+    getProgress: '/get_progress',
+    saveProgress: '/save_progress',
+    gameEnd: '/api/game/end'
+};
+
+export const backoffDelay = (attempt) => Math.min(MAX_DELAY, BASE_DELAY * 2 ** attempt);
+
+// Storage can be missing or blocked (private windows, sandboxed iframes);
+// progress then lasts for the page's lifetime only.
+const memoryStorage = () => {
+    const data = {};
+    return {
+        getItem: (key) => (key in data ? data[key] : null),
+        setItem: (key, value) => { data[key] = String(value); }
+    };
+};
+
+const defaultStorage = () => {
+    try {
+        window.localStorage.getItem('progress-probe');
+        return window.localStorage;
+    } catch {
+        return memoryStorage();
+    }
+};
+
+const readJson = (storage, key, fallback) => {
+    try {
+        const raw = storage.getItem(key);
+        return raw ? JSON.parse(raw) : fallback;
+    } catch {
+        return fallback;
+    }
+};
+
+const writeJson = (storage, key, value) => {
+    try {
+        storage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        console.warn(`Could not write ${key} to storage.`, error);
+    }
+};
+
+const isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+// The progress fields of a /get_progress reply; null for a new student
+const pickProgress = (data) => {
+    if (!data || !data.success || !data.level) return null;
+    const { success, ...progress } = data;
+    return progress;
+};
+
+const sameProgress = (a, b) => !!a && !!b
+    && a.level === b.level
+    && (a.score || 0) === (b.score || 0)
+    && (a.bestStreak || 0) === (b.bestStreak || 0)
+    && JSON.stringify(a.modes || {}) === JSON.stringify(b.modes || {})
+    && JSON.stringify(a.misconceptions || {}) === JSON.stringify(b.misconceptions || {})
+    && JSON.stringify(a.levels || {}) === JSON.stringify(b.levels || {})
+    && JSON.stringify(a.achievements || {}) === JSON.stringify(b.achievements || {});
+
+// Per-mode records, misconception tallies and per-level results are
+// counters and bests, so the larger value always wins
+const mergeRecords = (local = {}, remote = {}) => {
+    const merged = {};
+    for (const id of new Set([...Object.keys(local), ...Object.keys(remote)])) {
+        const a = local[id] || {};
+        const b = remote[id] || {};
+        merged[id] = {};
+        for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+            merged[id][key] = Math.max(a[key] || 0, b[key] || 0);
+        }
+    }
+    return merged;
+};
+
+// Badge tallies that count up merge like records, and a badge unlocked on
+// either copy stays unlocked. A streak is the run up to the latest round,
+// so it comes from whichever copy was saved last.
+const mergeAchievements = (local = {}, remote = {}, latest) => {
+    const merged = mergeRecords(local, remote);
+    for (const [name, tally] of Object.entries(TALLIES)) {
+        if (tally.streak && merged.tallies) merged.tallies[name] = latest?.tallies?.[name] || 0;
+    }
+    return merged;
+};
+
+// Highest level wins; score, best streak, badges and the per-mode,
+// per-misconception and per-level records never go backwards, bar badge
+// streaks (see above). Everything else (the adaptive state, the last mode
+// and level played) follows whichever copy is further along.
+export const mergeProgress = (local, remote) => {
+    if (!remote) return local;
+    if (!local) return remote;
+    const ahead = (remote.level || 0) > (local.level || 0) ? remote : local;
+    const latest = (remote.updatedAt || 0) > (local.updatedAt || 0) ? remote : local;
+    return {
+        ...ahead,
+        level: Math.max(local.level || 1, remote.level || 1),
+        score: Math.max(local.score || 0, remote.score || 0),
+        bestStreak: Math.max(local.bestStreak || 0, remote.bestStreak || 0),
+        modes: mergeRecords(local.modes, remote.modes),
+        misconceptions: mergeRecords(local.misconceptions, remote.misconceptions),
+        levels: mergeRecords(local.levels, remote.levels),
+        achievements: mergeAchievements(local.achievements, remote.achievements, latest.achievements)
+    };
+};
+
+export const createProgressStore = ({
+    gameName,
+    storage = defaultStorage(),
+    endpoints = DEFAULT_ENDPOINTS,
+    request = (url, options) => fetch(url, options),
+    onStatus = () => {}
+}) => {
+    const progressKey = `progress:${gameName}`;
+    const queueKey = `sync-queue:${gameName}`;
+    let queue = readJson(storage, queueKey, []);
+    let status = null;
+    let reachable = true;
+    let attempt = 0;
+    let retryTimer = null;
+    let flushing = null;
+
+    const setStatus = (next) => {
+        if (next === status) return;
+        status = next;
+        onStatus(next);
+    };
+
+    const refreshStatus = () => {
+        if (!reachable || !isOnline()) setStatus(SYNC_STATUS.OFFLINE);
+        else setStatus(queue.length ? SYNC_STATUS.PENDING : SYNC_STATUS.SYNCED);
+    };
+
+    const persistQueue = () => writeJson(storage, queueKey, queue);
+
+    const send = async (job) => {
+        const response = await request(job.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(job.body)
+        });
+        // A request the server rejects outright will not get better by retrying
+        if (response.status >= 400 && response.status < 500) {
+            console.warn(`Server rejected ${job.url} (${response.status}), dropping it.`);
+            return;
+        }
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+    };
+
+    // Sends queued writes in order, stopping at the first failure and
+    // retrying it later. Resolves to true once the queue is empty.
+    const flush = () => {
+        if (flushing) return flushing;
+        clearTimeout(retryTimer);
+        flushing = (async () => {
+            while (queue.length) {
+                const job = queue[0];
+                setStatus(SYNC_STATUS.SYNCING);
+                try {
+                    await send(job);
+                } catch (error) {
+                    console.warn(`Sync of ${job.url} failed, retrying later.`, error);
+                    reachable = false;
+                    retryTimer = setTimeout(flush, backoffDelay(attempt++));
+                    break;
+                }
+                reachable = true;
+                attempt = 0;
+                // The job may have been replaced by a newer save while in flight
+                queue = queue.filter(j => j !== job);
+                persistQueue();
+            }
+            refreshStatus();
+            return !queue.length;
+        })().finally(() => {
+            flushing = null;
+        });
+        return flushing;
+    };
+
+    // `replace` drops queued jobs for the same URL: only the newest save matters
+    const enqueue = (url, body, { replace = false } = {}) => {
+        if (replace) queue = queue.filter(job => job.url !== url);
+        queue.push({ url, body });
+        persistQueue();
+        return flush();
+    };
+
+    const load = () => readJson(storage, progressKey, null);
+
+    // Stamped on both copies, so a merge can tell which was saved last
+    const save = (progress) => {
+        const stamped = { ...progress, updatedAt: Date.now() };
+        writeJson(storage, progressKey, stamped);
+        return enqueue(endpoints.saveProgress, { game_name: gameName, ...stamped }, { replace: true });
+    };
+
+    const logGameEnd = (body) => enqueue(endpoints.gameEnd, { game_name: gameName, ...body });
+
+    // Pulls the server copy, merges it into the local one and pushes the
+    // result back if the server was behind. Resolves to the merged progress,
+    // or to the local copy alone when the server cannot be reached.
+    const reconcile = async () => {
+        let remote;
+        try {
+            const response = await request(`${endpoints.getProgress}/${encodeURIComponent(gameName)}`);
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            remote = pickProgress(await response.json());
+            reachable = true;
+        } catch (error) {
+            console.warn('Progress server unreachable, using the copy on this device.', error);
+            reachable = false;
+            refreshStatus();
+            if (queue.length) flush();
+            return load();
+        }
+
+        // Read after the request so saves made meanwhile are not lost
+        const merged = mergeProgress(load(), remote);
+        if (merged && !sameProgress(merged, remote)) save(merged);
+        else {
+            if (merged) writeJson(storage, progressKey, merged);
+            flush();
+        }
+        return merged;
+    };
+
+    const dispose = () => clearTimeout(retryTimer);
+
+    return { load, save, logGameEnd, reconcile, flush, refreshStatus, dispose };
+};
+
+// Returns [store, status]. Coming back online re-syncs the store and hands
+// the merged progress to onReconcile. `options` (storage, endpoints,
+// request) go to createProgressStore and are read once.
+export const useProgressStore = (gameName, onReconcile, options = {}) => {
+    const [status, setStatus] = useState(SYNC_STATUS.SYNCED);
+    const storeRef = useRef(null);
+    const onReconcileRef = useRef(onReconcile);
+    onReconcileRef.current = onReconcile;
+
+    if (!storeRef.current) {
+        storeRef.current = createProgressStore({ ...options, gameName, onStatus: setStatus });
+    }
+
+    useEffect(() => {
+        const store = storeRef.current;
+        const handleOnline = () => store.reconcile().then(progress => {
+            if (progress && onReconcileRef.current) onReconcileRef.current(progress);
+        });
+        const handleOffline = () => store.refreshStatus();
+
+        store.refreshStatus();
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+            store.dispose();
+        };
+    }, []);
+
+    return [storeRef.current, status];
+};
@@ -0,0 +1,220 @@
+// Teacher puzzle sets: a fixed list of puzzles, imported from JSON or CSV
+// and played in order instead of generated ones, with per-puzzle results
+// exported as CSV at the end.
+//
+// JSON is an array of entries, or { name, puzzles: [...] }. CSV has a
+// header row naming the same fields. Each entry gives an expression, or
+// pieces and a target, and may add a time limit in seconds:
+//
+//   { "expression": "(3+4)*2" }
+//   { "pieces": ["3", "4", "+", "*", "2"], "target": 14, "timeLimit": 90 }
+//
+//   expression,pieces,target,time_limit
+//   (3+4)*2,,,
+//   ,3 4 + * 2,14,90
+//
+// An entry with both an expression and pieces is checked against the
+// expression, which is quicker than searching long piece lists.
+
+import { createRng, hashSeed, makePieces } from './engine.js';
+import { equals, evaluate, formatRational, lex, parseRational, toTarget } from './expression.js';
+import { SOLVE_BUDGET, solvePuzzle } from './solver.js';
+
+const MIN_TIME_LIMIT = 10;
+const MAX_TIME_LIMIT = 600;
+// Importing is rare, so a piece list the usual budget cannot settle gets a longer search
+const VERIFY_BUDGET = SOLVE_BUDGET * 3;
+
+// Problems are codes for the catalogs to word; `reason` in the params is an
+// expression.js error code
+const invalid = (code, params = {}) => ({ error: { code, params } });
+
+// --- CSV ---
+// RFC 4180: quoted fields may hold commas, newlines and doubled quotes
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') quoted = false;
+            else field += ch;
+        } else if (ch === '"') quoted = true;
+        else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else field += ch;
+    }
+    if (field || row.length) rows.push([...row, field]);
+    return rows.filter(r => r.some(cell => cell.trim()));
+};
+
+const csvField = (value) => {
+    const text = value == null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => rows.map(row => row.map(csvField).join(',')).join('\r\n');
+
+// "Time Limit", "time_limit" and "timeLimit" all name the same column
+const fieldKey = (name) => String(name).toLowerCase().replace(/[^a-z]/g, '');
+
+const FIELDS = { expression: 'expression', expr: 'expression', pieces: 'pieces', target: 'target', timelimit: 'timeLimit' };
+
+const normalizeEntry = (raw) => {
+    const entry = {};
+    for (const [name, value] of Object.entries(raw)) {
+        const field = FIELDS[fieldKey(name)];
+        if (field && value !== '' && value != null) entry[field] = value;
+    }
+    return entry;
+};
+
+const readEntries = (text) => {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        let data;
+        try {
+            data = JSON.parse(trimmed);
+        } catch {
+            return invalid('json');
+        }
+        const puzzles = Array.isArray(data) ? data : data.puzzles;
+        if (!Array.isArray(puzzles)) return invalid('no-list');
+        return { name: Array.isArray(data) ? null : data.name, entries: puzzles };
+    }
+    const [header, ...rows] = parseCsv(trimmed);
+    if (!header || !header.some(name => FIELDS[fieldKey(name)])) return invalid('csv-header');
+    return { name: null, entries: rows.map(row => Object.fromEntries(header.map((name, i) => [name, row[i] ?? '']))) };
+};
+
+// --- Validation ---
+// Pieces come as a list, or as one string with the pieces separated by spaces
+const readPieces = (pieces) => (Array.isArray(pieces) ? pieces.map(p => String(p).trim()) : String(pieces).trim().split(/\s+/));
+
+const sameMultiset = (a, b) => [...a].sort().join(' ') === [...b].sort().join(' ');
+
+// Returns { puzzle } or { error } for one entry
+const validateEntry = (raw) => {
+    if (!raw || typeof raw !== 'object') return invalid('not-entry');
+    const entry = normalizeEntry(raw);
+    if (!entry.expression && !entry.pieces) return invalid('missing');
+
+    let timeLimit = null;
+    if (entry.timeLimit != null) {
+        timeLimit = Number(entry.timeLimit);
+        if (!Number.isInteger(timeLimit) || timeLimit < MIN_TIME_LIMIT || timeLimit > MAX_TIME_LIMIT) {
+            return invalid('time-limit', { min: MIN_TIME_LIMIT, max: MAX_TIME_LIMIT });
+        }
+    }
+
+    let goal = null;
+    if (entry.target != null) {
+        goal = parseRational(entry.target);
+        if (!goal) return invalid('bad-target', { target: String(entry.target) });
+    }
+
+    let pieces = null;
+    if (entry.pieces) {
+        pieces = readPieces(entry.pieces);
+        const lexed = lex(pieces);
+        if (!lexed.ok) return invalid('bad-piece', { piece: pieces[lexed.error.position] });
+        if (!pieces.some(p => /^\d+$/.test(p))) return invalid('no-numbers');
+    }
+
+    let tokens;
+    if (entry.expression) {
+        const result = evaluate(String(entry.expression));
+        if (!result.ok) return invalid('bad-expression', { expression: String(entry.expression), reason: result.error.code });
+        tokens = lex(String(entry.expression)).tokens.map(t => t.value);
+        if (goal && !equals(goal, result.value)) {
+            return invalid('wrong-target', { value: formatRational(result.value), target: String(entry.target) });
+        }
+        if (pieces && !sameMultiset(pieces, tokens)) return invalid('pieces-mismatch');
+        goal = result.value;
+    } else {
+        if (!goal) return invalid('no-target');
+        let solved = solvePuzzle(pieces, goal, { limit: 1 });
+        if (!solved.exhaustive) solved = solvePuzzle(pieces, goal, { limit: 1, budget: VERIFY_BUDGET });
+        if (!solved.solutions.length) return invalid(solved.exhaustive ? 'impossible' : 'unchecked', { target: String(entry.target) });
+        tokens = solved.solutions[0];
+    }
+
+    return { puzzle: { expr: tokens.join(''), tokens, target: toTarget(goal), timeLimit } };
+};
+
+// Returns { ok: true, set } with set = { name, puzzles }, or { ok: false,
+// errors } listing every problem as { entry, code, params }: its entry
+// number (1-based; 0 for the file as a whole), and a code the catalogs
+// word as setErrors.<code>. `name` defaults to the file name.
+export const parsePuzzleSet = (text, { fileName = 'Puzzle set' } = {}) => {
+    const read = readEntries(String(text));
+    if (read.error) return { ok: false, errors: [{ entry: 0, ...read.error }] };
+    if (!read.entries.length) return { ok: false, errors: [{ entry: 0, code: 'empty', params: {} }] };
+
+    const name = String(read.name || fileName.replace(/\.(json|csv)$/i, ''));
+    const errors = [];
+    const puzzles = [];
+    read.entries.forEach((raw, i) => {
+        const { puzzle, error } = validateEntry(raw);
+        if (error) {
+            errors.push({ entry: i + 1, ...error });
+            return;
+        }
+        // Seeded by set and position, so the tray is the same for every student
+        const seed = hashSeed(`set:${name}:${i}`);
+        puzzles.push({ ...puzzle, seed, pieces: makePieces(puzzle.tokens, createRng(seed)) });
+    });
+    return errors.length ? { ok: false, errors } : { ok: true, set: { name, puzzles } };
+};
+
+// --- Results ---
+// Folds one play of a set puzzle into its result. A replayed puzzle keeps
+// adding up time, attempts, hints and mistakes; `correct` is the latest
+// outcome.
+export const addSetResult = (previous, round) => previous
+    ? {
+        ...round,
+        time: previous.time + round.time,
+        attempts: previous.attempts + round.attempts,
+        hints: previous.hints + round.hints,
+        mistakes: [...previous.mistakes, ...round.mistakes],
+        revealed: previous.revealed || round.revealed
+    }
+    : round;
+
+// The column names stay as the importer reads them; `t` (see i18n.js) words
+// the cells in the student's language
+export const resultsToCsv = (set, results, { student = '', t }) => {
+    const yesNo = (value) => t(value ? 'set.csvYes' : 'set.csvNo');
+    return toCsv([
+    ['student', 'set', 'puzzle', 'target', 'correct', 'time_seconds', 'attempts', 'hints', 'revealed', 'mistakes'],
+        ...set.puzzles.map((puzzle, i) => {
+            const result = results[i];
+            return [
+                student,
+                set.name,
+                i + 1,
+                puzzle.target,
+                result ? yesNo(result.correct) : t('set.csvNotPlayed'),
+                result ? result.time : '',
+                result ? result.attempts : '',
+                result ? result.hints : '',
+                result ? yesNo(result.revealed) : '',
+                // Misconception names, so the teacher sees what the student is stuck on
+                result ? [...new Set(result.mistakes)].map(id => t(`misconceptions.${id}.name`)).join('; ') : ''
+            ];
+        })
+    ]);
+};
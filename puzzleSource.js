@@ -0,0 +1,120 @@
+// Puzzles ready before they are needed. A worker (puzzleWorker.js) fills a
+// small buffer per level in the background, so starting a round only takes
+// a puzzle off the buffer. Without a worker, or when the buffer is empty,
+// the puzzle is made on the spot, as before.
+//
+// Every puzzle taken is remembered and excluded from later generation, so
+// puzzles do not repeat in a session until a level runs short of fresh
+// ones; generatePuzzle then accepts a repeat rather than fall back to its
+// fixed puzzle.
+
+import { useEffect, useRef } from 'react';
+import { analyzePuzzle, generatePracticePuzzle, generatePuzzle, puzzleKey } from './engine.js';
+
+// Puzzles kept ready per level (and per practice misconception)
+export const BUFFER_SIZE = 2;
+
+const defaultWorker = () => {
+    if (typeof Worker === 'undefined') return null;
+    return new Worker(new URL('./puzzleWorker.js', import.meta.url), { type: 'module' });
+};
+
+// A buffered puzzle was made with the adaptive settings of the moment it
+// was asked for. Those drift slowly, so it is keyed by level alone.
+const bufferKey = ({ level, practice = null }) => `${level}:${practice || ''}`;
+
+// A request is { level, practice, options } with generatePuzzle's options.
+// take(request) always returns a puzzle, analysed (see analyzePuzzle);
+// prefetch(request) tops up that request's buffer.
+export const createPuzzleSource = ({ createWorker = defaultWorker, bufferSize = BUFFER_SIZE } = {}) => {
+    const buffers = new Map();
+    const inFlight = new Map();
+    // Request id -> buffer key, for replies still to come
+    const requests = new Map();
+    const seen = new Set();
+    let nextId = 0;
+    let worker = null;
+
+    const bufferFor = (key) => {
+        if (!buffers.has(key)) buffers.set(key, []);
+        return buffers.get(key);
+    };
+
+    const isFresh = (puzzle) => !seen.has(puzzleKey(puzzle));
+
+    // A worker that fails once is not trusted again; generation goes back
+    // to the main thread
+    const dropWorker = () => {
+        worker?.terminate();
+        worker = null;
+        requests.clear();
+        inFlight.clear();
+    };
+
+    try {
+        worker = createWorker();
+    } catch (error) {
+        console.warn('Puzzle worker unavailable; generating on the main thread.', error);
+        worker = null;
+    }
+    if (worker) {
+        worker.onmessage = ({ data }) => {
+            const key = requests.get(data.id);
+            if (key === undefined) return;
+            requests.delete(data.id);
+            inFlight.set(key, inFlight.get(key) - 1);
+            if (data.puzzle && isFresh(data.puzzle)) bufferFor(key).push(data.puzzle);
+        };
+        worker.onerror = (event) => {
+            console.warn('Puzzle worker failed; generating on the main thread.', event.message);
+            dropWorker();
+        };
+    }
+
+    const prefetch = (request) => {
+        if (!worker) return;
+        const key = bufferKey(request);
+        const pending = inFlight.get(key) || 0;
+        for (let have = bufferFor(key).length + pending; have < bufferSize; have++) {
+            const id = nextId++;
+            requests.set(id, key);
+            inFlight.set(key, (inFlight.get(key) || 0) + 1);
+            worker.postMessage({ id, practice: request.practice || null, options: { ...request.options, exclude: [...seen] } });
+        }
+    };
+
+    const generateNow = ({ practice = null, options }) => {
+        const withExclusions = { ...options, exclude: seen };
+        return analyzePuzzle(practice ? generatePracticePuzzle(practice, withExclusions) : generatePuzzle(withExclusions));
+    };
+
+    const take = (request) => {
+        const buffer = bufferFor(bufferKey(request));
+        // Puzzles made in parallel can still coincide; skip any already seen
+        let puzzle = null;
+        while (buffer.length && !puzzle) {
+            const next = buffer.shift();
+            if (isFresh(next)) puzzle = next;
+        }
+        if (!puzzle) puzzle = generateNow(request);
+        seen.add(puzzleKey(puzzle));
+        return puzzle;
+    };
+
+    const dispose = () => dropWorker();
+
+    return { take, prefetch, dispose };
+};
+
+// One source for the component's lifetime; the worker ends with it
+export const usePuzzleSource = () => {
+    const sourceRef = useRef(null);
+    if (!sourceRef.current) sourceRef.current = createPuzzleSource();
+
+    useEffect(() => {
+        const source = sourceRef.current;
+        return () => source.dispose();
+    }, []);
+
+    return sourceRef.current;
+};
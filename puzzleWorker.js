@@ -0,0 +1,16 @@
+// Makes puzzles off the main thread for puzzleSource.js. A request is
+// { id, practice, options }: generatePuzzle's options, or
+// generatePracticePuzzle's when `practice` names a misconception. The reply
+// is { id, puzzle } with the puzzle already analysed, or { id, error }.
+
+import { analyzePuzzle, generatePracticePuzzle, generatePuzzle } from './engine.js';
+
+self.onmessage = ({ data }) => {
+    const { id, practice, options } = data;
+    try {
+        const puzzle = practice ? generatePracticePuzzle(practice, options) : generatePuzzle(options);
+        self.postMessage({ id, puzzle: analyzePuzzle(puzzle) });
+    } catch (error) {
+        self.postMessage({ id, error: String(error?.message || error) });
+    }
+};
@@ -0,0 +1,221 @@
+// Head-to-head races on the same puzzle. One player hosts a room; the host
+// deals each round's puzzle to everyone, so the room moves on together.
+// Players broadcast their progress, and every client builds the scoreboard
+// from those messages alone: any transport that passes messages around
+// the room will do.
+//
+// A transport is { send(message), subscribe(onMessage) -> unsubscribe,
+// close() }. A message sent reaches every other member of the room, not
+// the sender.
+//
+// Messages (all carry v, room and from, the sender's player id):
+//   hello   { player }            joining; everyone answers with a status
+//   status  { player, progress }  name, host flag and this round's progress
+//   round   { round, puzzle }     from the host: the puzzle for round n,
+//                                 as { seed, level, expr, tray }
+//   bye     {}                    leaving
+
+export const RACE_VERSION = 1;
+const ROOM_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 5;
+const CHANNEL_PREFIX = 'race:';
+const SOCKET_OPEN = 1;
+
+// Room codes skip 0/O and 1/I so they can be read out across a classroom
+export const createRoomCode = (rng = Math.random) =>
+    Array.from({ length: ROOM_CODE_LENGTH }, () => ROOM_ALPHABET[Math.floor(rng() * ROOM_ALPHABET.length)]).join('');
+
+// The code as typed, cleaned up, or null if it cannot be one
+export const normalizeRoomCode = (text) => {
+    const code = String(text || '').trim().toUpperCase();
+    return code.length === ROOM_CODE_LENGTH && [...code].every(ch => ROOM_ALPHABET.includes(ch)) ? code : null;
+};
+
+// --- Transports ---
+// Tabs of the same browser
+export const createChannelTransport = (room) => {
+    const channel = new BroadcastChannel(CHANNEL_PREFIX + room);
+    return {
+        send: (message) => channel.postMessage(message),
+        subscribe: (onMessage) => {
+            const handle = (event) => onMessage(event.data);
+            channel.addEventListener('message', handle);
+            return () => channel.removeEventListener('message', handle);
+        },
+        close: () => channel.close()
+    };
+};
+
+// Through a relay server: the socket first sends { join: room }, then
+// { room, message } frames, which the server passes to the room's other
+// sockets. Sends made before the socket opens wait for it.
+export const createSocketTransport = (room, { url, WebSocketImpl = globalThis.WebSocket } = {}) => {
+    const socket = new WebSocketImpl(url);
+    const waiting = [];
+    const listeners = new Set();
+
+    socket.addEventListener('open', () => {
+        socket.send(JSON.stringify({ join: room }));
+        waiting.splice(0).forEach(frame => socket.send(frame));
+    });
+    socket.addEventListener('message', (event) => {
+        let frame;
+        try {
+            frame = JSON.parse(event.data);
+        } catch {
+            return;
+        }
+        if (frame.room === room && frame.message) listeners.forEach(onMessage => onMessage(frame.message));
+    });
+
+    return {
+        send: (message) => {
+            const frame = JSON.stringify({ room, message });
+            if (socket.readyState === SOCKET_OPEN) socket.send(frame);
+            else waiting.push(frame);
+        },
+        subscribe: (onMessage) => {
+            listeners.add(onMessage);
+            return () => listeners.delete(onMessage);
+        },
+        close: () => socket.close()
+    };
+};
+
+// A stand-in for the relay server inside the page, for trying races out
+// without one: `Socket` behaves like a WebSocket connected to it.
+//   const relay = createLocalRelay();
+//   createSocketTransport(room, { url: 'local', WebSocketImpl: relay.Socket })
+export const createLocalRelay = () => {
+    const sockets = new Set();
+
+    class Socket {
+        constructor(url) {
+            this.url = url;
+            this.readyState = 0;
+            this.room = null;
+            this.listeners = { open: new Set(), message: new Set(), close: new Set() };
+            sockets.add(this);
+            // Like a real socket, it opens after the current task
+            setTimeout(() => {
+                if (this.readyState !== 0) return;
+                this.readyState = SOCKET_OPEN;
+                this.emit('open', {});
+            }, 0);
+        }
+
+        addEventListener(type, listener) {
+            this.listeners[type]?.add(listener);
+        }
+
+        removeEventListener(type, listener) {
+            this.listeners[type]?.delete(listener);
+        }
+
+        emit(type, event) {
+            this.listeners[type].forEach(listener => listener(event));
+        }
+
+        send(data) {
+            if (this.readyState !== SOCKET_OPEN) throw new Error('The socket is not open.');
+            const frame = JSON.parse(data);
+            if (frame.join) {
+                this.room = frame.join;
+                return;
+            }
+            for (const other of sockets) {
+                if (other !== this && other.room === frame.room && other.readyState === SOCKET_OPEN) {
+                    setTimeout(() => other.emit('message', { data }), 0);
+                }
+            }
+        }
+
+        close() {
+            this.readyState = 3;
+            sockets.delete(this);
+            this.emit('close', {});
+        }
+    }
+
+    return { Socket };
+};
+
+export const defaultRaceTransport = (room) => createChannelTransport(room);
+
+// --- Room State ---
+// { room, self, round, puzzle, players }: `self` is this player's id and
+// `players` every member seen so far, this one included, by id. Each
+// player is { id, name, host, progress }; progress is { round, placed,
+// total, checks, solved, time } and only counts for the current round.
+export const createRace = ({ room, player }) => ({
+    room,
+    self: player.id,
+    round: 0,
+    puzzle: null,
+    players: { [player.id]: { ...player, progress: null } }
+});
+
+export const raceMessage = (race, type, fields = {}) => ({ v: RACE_VERSION, room: race.room, from: race.self, type, ...fields });
+
+const selfPlayer = (race) => {
+    const { progress, ...player } = race.players[race.self];
+    return player;
+};
+
+export const helloMessage = (race) => raceMessage(race, 'hello', { player: selfPlayer(race) });
+
+export const statusMessage = (race) =>
+    raceMessage(race, 'status', { player: selfPlayer(race), progress: race.players[race.self].progress });
+
+export const roundMessage = (race) => raceMessage(race, 'round', { round: race.round, puzzle: race.puzzle });
+
+export const isHost = (race) => !!race?.players[race.self]?.host;
+
+// The host as this client knows it; null once the host has left
+export const raceHost = (race) => Object.values(race.players).find(player => player.host) || null;
+
+// Folds one incoming message into the room. Messages for another room or
+// protocol version, and stale rounds, leave it unchanged.
+export const applyRaceMessage = (race, message) => {
+    if (!message || message.v !== RACE_VERSION || message.room !== race.room || message.from === race.self) return race;
+    const players = race.players;
+    const known = players[message.from];
+    switch (message.type) {
+        case 'hello':
+            return { ...race, players: { ...players, [message.from]: { ...message.player, progress: known?.progress ?? null } } };
+        case 'status':
+            return { ...race, players: { ...players, [message.from]: { ...message.player, progress: message.progress } } };
+        case 'round':
+            if (message.round <= race.round || !known?.host) return race;
+            return { ...race, round: message.round, puzzle: message.puzzle };
+        case 'bye': {
+            const { [message.from]: gone, ...rest } = players;
+            return { ...race, players: rest };
+        }
+        default:
+            return race;
+    }
+};
+
+// The host's next round
+export const dealRound = (race, puzzle) => ({ ...race, round: race.round + 1, puzzle });
+
+export const setOwnProgress = (race, progress) => ({
+    ...race,
+    players: { ...race.players, [race.self]: { ...race.players[race.self], progress: { ...progress, round: race.round } } }
+});
+
+// Scoreboard rows for this round: solvers first, fastest first, then
+// whoever has placed the most pieces
+export const raceStandings = (race) => Object.values(race.players)
+    .map(player => ({
+        ...player,
+        progress: player.progress?.round === race.round ? player.progress : null
+    }))
+    .sort((a, b) => {
+        const pa = a.progress;
+        const pb = b.progress;
+        if (!!pa?.solved !== !!pb?.solved) return pa?.solved ? -1 : 1;
+        if (pa?.solved) return pa.time - pb.time;
+        return (pb?.placed || 0) - (pa?.placed || 0) || a.name.localeCompare(b.name);
+    });
@@ -0,0 +1,44 @@
+// The round in progress, kept in sessionStorage so a reload resumes it.
+// Session storage is per tab: a round never leaks into another tab or
+// outlives the browser session. A host's `storage` prop is for progress
+// and does not change this.
+
+const ROUND_VERSION = 1;
+
+const roundKey = (gameName) => `round:${gameName}`;
+
+// Storage can be blocked (sandboxed iframes, some private windows); the
+// round then simply is not kept across reloads.
+const sessionStore = () => {
+    try {
+        return window.sessionStorage;
+    } catch {
+        return null;
+    }
+};
+
+export const saveRound = (gameName, round) => {
+    try {
+        sessionStore()?.setItem(roundKey(gameName), JSON.stringify({ ...round, v: ROUND_VERSION }));
+    } catch (error) {
+        console.warn('Could not keep the round for a reload.', error);
+    }
+};
+
+export const loadRound = (gameName) => {
+    try {
+        const raw = sessionStore()?.getItem(roundKey(gameName));
+        const round = raw ? JSON.parse(raw) : null;
+        return round && round.v === ROUND_VERSION && round.question ? round : null;
+    } catch {
+        return null;
+    }
+};
+
+export const clearRound = (gameName) => {
+    try {
+        sessionStore()?.removeItem(roundKey(gameName));
+    } catch {
+        // Nothing was kept
+    }
+};
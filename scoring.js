@@ -0,0 +1,55 @@
+// Round scoring: base points weighted by puzzle difficulty, a bonus for the
+// time left, a multiplier for a streak of clean solves (no hints, no
+// reveal), minus penalties for hints and wrong checks.
+
+export const BASE_POINTS = 10;
+export const MAX_TIME_BONUS = 10;
+export const WRONG_CHECK_PENALTY = 2;
+const STREAK_STEP = 0.1;
+const MAX_STREAK_MULTIPLIER = 2;
+
+// Difficulty scores land roughly between 2 and 30 (see solver.rateDifficulty)
+export const difficultyMultiplier = (difficulty) => 1 + (difficulty ? difficulty.score : 0) / 20;
+
+export const isCleanSolve = ({ solved, hintsUsed = 0, revealed = false }) => solved && !hintsUsed && !revealed;
+
+export const nextStreak = (streak, round) => (isCleanSolve(round) ? streak + 1 : 0);
+
+export const streakMultiplier = (streak) =>
+    Math.min(MAX_STREAK_MULTIPLIER, 1 + STREAK_STEP * Math.max(0, streak - 1));
+
+// `streak` already counts this round when it was a clean solve
+export const scoreRound = ({
+    timeLeft = 0,
+    timeLimit = 1,
+    difficulty = null,
+    streak = 0,
+    hintPenalty = 0,
+    wrongChecks = 0,
+    revealed = false
+}) => {
+    const base = Math.round(BASE_POINTS * difficultyMultiplier(difficulty));
+    const timeBonus = Math.round(MAX_TIME_BONUS * Math.max(0, timeLeft) / timeLimit);
+    const multiplier = Math.round(streakMultiplier(streak) * 10) / 10;
+    const wrongCheckPenalty = wrongChecks * WRONG_CHECK_PENALTY;
+    const total = revealed
+        ? 0
+        : Math.max(0, Math.round((base + timeBonus) * multiplier) - hintPenalty - wrongCheckPenalty);
+
+    return { base, timeBonus, streakMultiplier: multiplier, hintPenalty, wrongCheckPenalty, revealed, total };
+};
+
+// Countdown: full marks for hitting the target, fewer the further off.
+// Entries are [within, points].
+const CLOSENESS_POINTS = [[0, 10], [5, 7], [10, 5]];
+
+export const closenessPoints = (distance) => {
+    const band = CLOSENESS_POINTS.find(([within]) => distance <= within);
+    return band ? band[1] : 0;
+};
+
+export const scoreCountdown = ({ distance, difficulty = null, hintPenalty = 0, revealed = false }) => {
+    const base = Math.round(closenessPoints(distance) * difficultyMultiplier(difficulty));
+    const total = revealed ? 0 : Math.max(0, base - hintPenalty);
+    return { base, timeBonus: 0, streakMultiplier: 1, hintPenalty, wrongCheckPenalty: 0, revealed, distance, total };
+};
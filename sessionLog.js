@@ -0,0 +1,148 @@
+// A record of the session, event by event, so a teacher can export it and
+// watch how each puzzle was worked. A log is
+//
+//   { v, game, startedAt, rounds: [{ at, puzzle, events }] }
+//
+// with `at` in ms since the session started and `puzzle` the round as it
+// was dealt ({ seed, level, target, tray }). Events are compact
+// tuples, [ms since the round started, type, ...data]:
+//
+//   add     token, at          a piece put into the equation at index `at`
+//   remove  at                 the piece at `at` taken back
+//   move    from, to           a piece dragged along the row; `to` is an insertion index
+//   set     tokens             the row replaced whole (undo, redo, a two-digit piece, a resumed round)
+//   reset
+//   hint    step               the rung of the hint ladder shown
+//   check   correct, value, detail   value as "n/d" or null; detail says why it missed
+//   reveal  tokens             the solution put on the board
+//   timeUp
+//   end     outcome            solved, closest, skipped or timeUp
+
+export const SESSION_LOG_VERSION = 1;
+
+const EVENT_TYPES = ['add', 'remove', 'move', 'set', 'reset', 'hint', 'check', 'reveal', 'timeUp', 'end'];
+// Enough for a long lesson; the oldest rounds go first
+const MAX_ROUNDS = 200;
+const MAX_EVENTS = 2000;
+
+export const createSessionLog = (game, now = Date.now()) => ({
+    v: SESSION_LOG_VERSION,
+    game,
+    startedAt: now,
+    rounds: []
+});
+
+export const startLoggedRound = (log, puzzle, now = Date.now()) => ({
+    ...log,
+    rounds: [...log.rounds, {
+        at: now - log.startedAt,
+        puzzle: {
+            seed: puzzle.seed ?? null,
+            level: puzzle.level ?? null,
+            target: String(puzzle.target),
+            tray: puzzle.pieces.map(p => p.token)
+        },
+        events: []
+    }].slice(-MAX_ROUNDS)
+});
+
+// Events before the first round have nothing to belong to and are dropped
+export const logEvent = (log, type, data = [], now = Date.now()) => {
+    const round = log.rounds[log.rounds.length - 1];
+    if (!round || round.events.length >= MAX_EVENTS) return log;
+    const event = [now - log.startedAt - round.at, type, ...data];
+    return { ...log, rounds: [...log.rounds.slice(0, -1), { ...round, events: [...round.events, event] }] };
+};
+
+// Why a graded attempt missed, without the engine's English message
+export const checkDetail = (result) => {
+    const detail = {};
+    if (result.distance != null) detail.distance = result.distance;
+    if (result.misconception) detail.misconception = result.misconception;
+    if (result.error) detail.error = { code: result.error.code };
+    if (result.reason) detail.reason = result.reason;
+    return detail;
+};
+
+// --- Export ---
+export const serializeSessionLog = (log) => JSON.stringify(log);
+
+const validRound = (round) =>
+    round && typeof round.at === 'number'
+    && round.puzzle && Array.isArray(round.puzzle.tray) && round.puzzle.target != null
+    && Array.isArray(round.events)
+    && round.events.every(e => Array.isArray(e) && typeof e[0] === 'number' && EVENT_TYPES.includes(e[1]));
+
+// Returns { ok: true, log } or { ok: false, error } with error one of
+// 'json', 'version' or 'invalid'
+export const parseSessionLog = (text) => {
+    let log;
+    try {
+        log = JSON.parse(text);
+    } catch {
+        return { ok: false, error: 'json' };
+    }
+    if (!log || typeof log !== 'object') return { ok: false, error: 'invalid' };
+    if (log.v !== SESSION_LOG_VERSION) return { ok: false, error: 'version' };
+    if (!Array.isArray(log.rounds) || !log.rounds.length || !log.rounds.every(validRound)) {
+        return { ok: false, error: 'invalid' };
+    }
+    return { ok: true, log };
+};
+
+// --- Replay ---
+// The board after each event of a round, first frame empty: { t, event,
+// tokens, check }. `check` is the last check, until the row changes.
+export const replayFrames = (round) => {
+    let state = { t: 0, event: null, tokens: [], check: null };
+    const frames = [state];
+    for (const event of round.events) {
+        const [t, type, ...data] = event;
+        const tokens = [...state.tokens];
+        let { check } = state;
+        switch (type) {
+            case 'add':
+                tokens.splice(data[1], 0, data[0]);
+                break;
+            case 'remove':
+                tokens.splice(data[0], 1);
+                break;
+            case 'move': {
+                const [from, to] = data;
+                const [moved] = tokens.splice(from, 1);
+                tokens.splice(to > from ? to - 1 : to, 0, moved);
+                break;
+            }
+            case 'set':
+            case 'reveal':
+                tokens.splice(0, tokens.length, ...data[0]);
+                break;
+            case 'reset':
+                tokens.length = 0;
+                break;
+            case 'check':
+                check = { correct: data[0], value: data[1], detail: data[2] || {} };
+                break;
+            default:
+                break;
+        }
+        const edited = type !== 'check' && tokens.join(' ') !== state.tokens.join(' ');
+        state = { t, event, tokens, check: edited ? null : check };
+        frames.push(state);
+    }
+    return frames;
+};
+
+// The tray and equation row as the board shows them: each placed token
+// marks the first unused matching piece. Revealed solutions may hold
+// pieces the tray never had, which stand alone.
+export const replayBoard = (tray, tokens) => {
+    const pieces = tray.map((token, i) => ({ id: `r${i}`, token, used: false }));
+    const equation = tokens.map((token, i) => {
+        const piece = pieces.find(p => !p.used && p.token === token);
+        if (!piece) return { id: `x${i}`, token };
+        piece.used = true;
+        return { id: piece.id, token };
+    });
+    return { pieces, equation };
+};
@@ -0,0 +1,108 @@
+// Daily challenges and shareable puzzle links. The daily puzzle comes from
+// the date and the level's default rules, so every student gets the same
+// one. A shared link carries the puzzle itself (expression and tray order),
+// so it opens exactly as the sharer saw it, whatever their adaptive
+// settings were.
+
+import { formatSeed, hashSeed, parseSeed } from './engine.js';
+import { lex } from './expression.js';
+
+// Daily level by weekday, Sunday first: gentle on Monday, hardest at the weekend
+const DAILY_LEVELS = [8, 3, 4, 5, 5, 6, 7];
+// Version 1 codes were JSON; links made with them still open
+const LEGACY_SHARE_VERSION = 1;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Local calendar date: a class shares a day even when UTC has rolled over
+export const dateKey = (date = new Date()) =>
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const parseDateKey = (key) => {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(key || '');
+    return m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : null;
+};
+
+export const getDailyChallenge = (date = new Date()) => {
+    const key = dateKey(date);
+    return {
+        kind: 'daily',
+        date: key,
+        seed: hashSeed(`daily:${key}`),
+        level: DAILY_LEVELS[date.getDay()],
+        mode: 'classic'
+    };
+};
+
+// --- Links ---
+const toBase64Url = (text) => btoa(text).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const fromBase64Url = (code) => atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+
+// A code is "seed|level|mode|expr|tray" in base64url, the seed in base 36
+// and the tray's tokens separated by spaces. Leading with the seed makes
+// the start of the code tell puzzles apart; the board shows it as the
+// puzzle code.
+export const encodePuzzle = (puzzle, modeId) => toBase64Url([
+    formatSeed(puzzle.seed),
+    puzzle.level,
+    modeId,
+    puzzle.expr,
+    puzzle.pieces.map(p => p.token).join(' ')
+].join('|'));
+
+const readFields = (text) => {
+    if (text.startsWith('{')) {
+        const data = JSON.parse(text);
+        return data && data.v === LEGACY_SHARE_VERSION ? data : null;
+    }
+    const fields = text.split('|');
+    if (fields.length !== 5) return null;
+    const [seed, level, mode, expr, tray] = fields;
+    return parseSeed(seed) === null ? null : { seed: parseSeed(seed), level, mode, expr, tray: tray.split(' ') };
+};
+
+// Returns null for anything that is not a well-formed share code
+export const decodePuzzle = (code) => {
+    let data;
+    try {
+        data = readFields(fromBase64Url(code));
+    } catch {
+        return null;
+    }
+    if (!data || typeof data.expr !== 'string' || !Array.isArray(data.tray) || !lex(data.tray).ok) return null;
+    const level = Number(data.level);
+    if (!Number.isInteger(level) || level < 1) return null;
+    return { seed: data.seed, level, mode: data.mode, expr: data.expr, tray: data.tray.map(String) };
+};
+
+export const buildShareUrl = (puzzle, modeId, href = window.location.href) => {
+    const url = new URL(href);
+    url.search = '';
+    url.hash = '';
+    url.searchParams.set('puzzle', encodePuzzle(puzzle, modeId));
+    return url.toString();
+};
+
+// What the page was opened with: ?puzzle=<code> for a shared puzzle,
+// ?daily or ?daily=YYYY-MM-DD for a daily challenge; null otherwise.
+export const readChallenge = (search = window.location.search) => {
+    const params = new URLSearchParams(search);
+    if (params.has('puzzle')) {
+        const shared = decodePuzzle(params.get('puzzle'));
+        return shared && { kind: 'shared', ...shared };
+    }
+    if (params.has('daily')) {
+        return getDailyChallenge(parseDateKey(params.get('daily')) || new Date());
+    }
+    return null;
+};
+
+// Leaving a challenge drops it from the address bar, so a reload does not
+// bring it back
+export const clearChallengeFromUrl = () => {
+    const url = new URL(window.location.href);
+    if (!url.searchParams.has('puzzle') && !url.searchParams.has('daily')) return;
+    url.searchParams.delete('puzzle');
+    url.searchParams.delete('daily');
+    window.history.replaceState(window.history.state, '', url.toString());
+};
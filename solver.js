@@ -0,0 +1,400 @@
+// Exhaustive solver: finds every expression over a puzzle's pieces that
+// equals the target, using each piece exactly once. Expressions are counted
+// as trees, so "(3 + 4) * 2" and "((3 + 4) * 2)" are one arrangement: the
+// trees are built bottom up over sub-multisets of the pieces, keeping for
+// each sub-multiset only the distinct (value, top operator, parentheses
+// needed) triples and how many trees share them. A tree needing more
+// parentheses than the pieces have is dropped; spare pairs are put back
+// around each solution (see padParens). A '-' piece is only used as a unary
+// minus when the pieces have more operators than binary operations need.
+
+import { applyOp, equals, evaluate, formatRational, isSafe, isValidExponent, negate, parse, parseRational, rational } from './expression.js';
+
+// Upper bound on search steps so a long piece list cannot stall the caller;
+// `exhaustive` is false when the budget ran out first.
+export const SOLVE_BUDGET = 1000000;
+
+const isNumber = (tok) => /^\d+$/.test(tok);
+const isOperator = (tok) => '+-*/^'.includes(tok) && tok.length === 1;
+
+// Height of the operator tree; parentheses themselves add no depth
+export const astDepth = (node) => {
+    if (node.type === 'num') return 0;
+    if (node.type === 'paren' || node.type === 'neg') return astDepth(node.body);
+    return 1 + Math.max(astDepth(node.left), astDepth(node.right));
+};
+
+export const expressionDepth = (tokens) => {
+    const parsed = parse(tokens);
+    return parsed.ok ? astDepth(parsed.ast) : null;
+};
+
+// --- Parentheses ---
+// How tightly the top of a tree binds: a lone number binds tightest, then
+// '^', a unary minus, '*' '/', and '+' '-' loosest
+const BINDING = { '+': 1, '-': 1, '*': 2, '/': 2, '^': 4 };
+const NEGATION = 3;
+const ATOM = 5;
+
+// Whether a tree binding `inner` needs parentheses as the operand after
+// `left` (an operator, or 'neg' for a unary minus) or before the operator
+// `right`. Operators of one precedence associate left, except '^', and
+// "2 * -3", "-3 * 2" and "2 ^ -3" parse without them.
+const neededAfter = (left, inner) => {
+    if (left === 'neg') return inner < BINDING['^'];
+    if (left === '^') return inner < NEGATION;
+    return inner <= BINDING[left];
+};
+
+const neededBefore = (right, inner) => {
+    if (right === '^') return inner < ATOM;
+    if (right === '*' || right === '/') return inner < BINDING['*'];
+    return false;
+};
+
+const wrap = (tokens, needed) => (needed ? ['(', ...tokens, ')'] : tokens);
+
+// Puts `spare` unused pairs of parentheses back around a solution: around
+// its unbracketed operations innermost first, then its negations, then the
+// whole expression. A fully bracketed arrangement comes back as it was.
+export const padParens = (tokens, ast, spare) => {
+    const operations = [];
+    const negations = [];
+    const collect = (node, bracketed) => {
+        if (node.type === 'paren') return collect(node.body, true);
+        if (node.type === 'neg') collect(node.body, false);
+        if (node.type === 'binary') {
+            collect(node.left, false);
+            collect(node.right, false);
+        }
+        if (bracketed) return;
+        if (node.type === 'binary') operations.push(node);
+        if (node.type === 'neg') negations.push(node);
+    };
+    collect(ast, false);
+
+    const wrapped = new Set([...operations, ...negations].slice(0, spare));
+    const render = (node) => {
+        const out = node.type === 'num' ? [tokens[node.start]]
+            : node.type === 'paren' ? ['(', ...render(node.body), ')']
+            : node.type === 'neg' ? ['-', ...render(node.body)]
+            : [...render(node.left), node.op, ...render(node.right)];
+        return wrap(out, wrapped.has(node));
+    };
+    let padded = render(ast);
+    for (let i = wrapped.size; i < spare; i++) padded = wrap(padded, true);
+    return padded;
+};
+
+// --- Search ---
+// Sub-multisets of a multiset (counts per kind) as whole numbers: each kind
+// is a digit whose base is one more than its count, so the whole is the
+// largest id and taking one multiset out of another is subtraction
+const multisets = (counts) => {
+    const units = [];
+    let base = 1;
+    for (const c of counts) {
+        units.push(base);
+        base *= c + 1;
+    }
+    const decode = (id) => units.map((unit, i) => Math.floor(id / unit) % (counts[i] + 1));
+    const sizes = new Map();
+    const size = (id) => {
+        if (!sizes.has(id)) sizes.set(id, decode(id).reduce((s, c) => s + c, 0));
+        return sizes.get(id);
+    };
+
+    // Every sub-multiset of `id` with `n` items
+    const cache = new Map();
+    const subsetsOf = (id, n) => {
+        const key = id * base + n;
+        if (cache.has(key)) return cache.get(key);
+        const have = decode(id);
+        const out = [];
+        const pick = (i, left, taken) => {
+            if (i === units.length) {
+                if (!left) out.push(taken);
+                return;
+            }
+            for (let c = Math.min(have[i], left); c >= 0; c--) pick(i + 1, left - c, taken + c * units[i]);
+        };
+        pick(0, n, 0);
+        cache.set(key, out);
+        return out;
+    };
+    return { whole: base - 1, span: base, units, decode, size, subsetsOf };
+};
+
+const valueKey = (r) => `${r.n}/${r.d}`;
+
+const distinct = (values) => (values.length > 1 ? [...new Map(values.map(v => [valueKey(v), v])).values()] : values);
+
+// Whole-number `e`th roots of a rational, of either sign, that might be
+// exact; the caller checks them
+const roots = (r, e) => {
+    const near = (x) => {
+        const c = Math.round(Math.abs(x) ** (1 / e));
+        return [c - 1, c, c + 1].filter(k => k >= 0);
+    };
+    return near(r.n).flatMap(n => near(r.d).filter(Boolean).flatMap(d => [rational(n, d), rational(-n, d)]));
+};
+
+// The operands that could take the other one to `value` through `op`,
+// checked by the caller; null when every operand has to be tried (a zero
+// that any operand keeps, an exponent, or a zero power)
+const rightOperandsFor = (op, left, value) => {
+    switch (op) {
+        case '+': return [applyOp('-', value, left)];
+        case '-': return [applyOp('-', left, value)];
+        case '*': return left.n === 0 ? null : [applyOp('/', value, left)];
+        case '/': return value.n === 0 ? null : [applyOp('/', left, value)];
+        default: return null;
+    }
+};
+
+const leftOperandsFor = (op, right, value) => {
+    switch (op) {
+        case '+': return [applyOp('-', value, right)];
+        case '-': return [applyOp('+', value, right)];
+        case '*': return right.n === 0 ? null : [applyOp('/', value, right)];
+        case '/': return right.n === 0 ? [] : [applyOp('*', value, right)];
+        default:
+            if (!isValidExponent(right)) return [];
+            if (right.n === 0) return null;
+            if (right.n > 0) return roots(value, right.n);
+            return value.n === 0 ? [] : roots(rational(value.d, value.n), -right.n);
+    }
+};
+
+// `count` is the number of working arrangements. With a `limit`, only the
+// first `limit` of them are listed in `solutions`.
+export const solvePuzzle = (pieces, target, { limit = Infinity, budget = SOLVE_BUDGET } = {}) => {
+    const goal = parseRational(target);
+    const counts = pieces.reduce((m, t) => (m[t] = (m[t] || 0) + 1, m), {});
+    const numbers = Object.keys(counts).filter(isNumber);
+    const operators = Object.keys(counts).filter(isOperator);
+    const numberCount = numbers.reduce((s, t) => s + counts[t], 0);
+    const operatorCount = operators.reduce((s, t) => s + counts[t], 0);
+    const pairs = counts['('] || 0;
+
+    // Operators left over once every binary operation has one must be unary minuses
+    const unaryCount = operatorCount - (numberCount - 1);
+
+    const result = { solutions: [], count: 0, exhaustive: true, minDepth: null, minDepthSolution: null };
+    if (!goal || !numberCount || pairs !== (counts[')'] || 0) || unaryCount < 0 || unaryCount > (counts['-'] || 0)) {
+        return result;
+    }
+
+    let steps = 0;
+    const spend = () => {
+        if (++steps > budget) result.exhaustive = false;
+        return result.exhaustive;
+    };
+
+    // Binary operations get every operator piece but the unary minuses
+    const numberSets = multisets(numbers.map(t => counts[t]));
+    const operatorSets = multisets(operators.map(t => counts[t] - (t === '-' ? unaryCount : 0)));
+    const numberOf = (nums) => numbers[numberSets.units.indexOf(nums)];
+
+    // The group of trees over some of the pieces that have `value`, if any
+    const groupOf = (args, value) => treesOf(...args, value).get(valueKey(value));
+
+    // Calls visit(l, r, value) for each pair of groups `op` combines, or
+    // with `only` just the pairs that make that value: the smaller side is
+    // built in full, and the other only at the values it would need
+    const forEachPair = (op, leftArgs, rightArgs, only, visit) => {
+        const combine = (l, r) => {
+            if (!spend() || !l || !r) return;
+            const value = applyOp(op, l.value, r.value);
+            if (value && (!only || equals(value, only))) visit(l, r, value);
+        };
+        if (only && numberSets.size(leftArgs[0]) > numberSets.size(rightArgs[0])) {
+            for (const r of treesOf(...rightArgs).values()) {
+                const wanted = leftOperandsFor(op, r.value, only);
+                const lefts = wanted ? distinct(wanted).map(v => groupOf(leftArgs, v)) : treesOf(...leftArgs).values();
+                for (const l of lefts) combine(l, r);
+                if (!result.exhaustive) return;
+            }
+            return;
+        }
+        for (const l of treesOf(...leftArgs).values()) {
+            const wanted = only && rightOperandsFor(op, l.value, only);
+            const rights = wanted ? distinct(wanted).map(v => groupOf(rightArgs, v)) : treesOf(...rightArgs).values();
+            for (const r of rights) combine(l, r);
+            if (!result.exhaustive) return;
+        }
+    };
+
+    // Calls visit(op, leftArgs, rightArgs) for each operator at the top of
+    // a tree and each way of sharing the rest of the pieces out
+    const forEachSplit = (nums, ops, negs, visit) => {
+        const size = numberSets.size(nums);
+        const have = operatorSets.decode(ops);
+        operators.forEach((op, k) => {
+            if (!have[k]) return;
+            const rest = ops - operatorSets.units[k];
+            for (let s = 1; s < size; s++) {
+                for (const leftNums of numberSets.subsetsOf(nums, s)) {
+                    for (const leftOps of operatorSets.subsetsOf(rest, s - 1)) {
+                        for (let a = 0; a <= negs; a++) {
+                            if (!result.exhaustive) return;
+                            visit(op, [leftNums, leftOps, a], [nums - leftNums, rest - leftOps, negs - a]);
+                        }
+                    }
+                }
+            }
+        });
+    };
+
+    // The trees over the multisets `nums` and `ops` with `negs` unary
+    // minuses, grouped by value: { value, shapes: [{ binding, parens, count }] }.
+    // With `only`, the groups of other values may be left out.
+    const memo = new Map();
+    const targeted = new Map();
+    const treesOf = (nums, ops, negs, only = null) => {
+        const key = (nums * operatorSets.span + ops) * (unaryCount + 1) + negs;
+        if (memo.has(key)) return memo.get(key);
+        if (only && targeted.get(key)?.has(valueKey(only))) return targeted.get(key).get(valueKey(only));
+        const trees = new Map();
+        if (!spend()) return trees;
+        const add = (value, binding, parens, count) => {
+            if (!isSafe(value) || parens > pairs || (only && !equals(value, only))) return;
+            const id = valueKey(value);
+            if (!trees.has(id)) trees.set(id, { value, shapes: [] });
+            const { shapes } = trees.get(id);
+            const shape = shapes.find(s => s.binding === binding && s.parens === parens);
+            if (shape) shape.count += count;
+            else shapes.push({ binding, parens, count });
+        };
+
+        if (negs) {
+            for (const group of treesOf(nums, ops, negs - 1, only && negate(only)).values()) {
+                if (!spend()) return trees;
+                for (const shape of group.shapes) {
+                    add(negate(group.value), NEGATION, shape.parens + neededAfter('neg', shape.binding), shape.count);
+                }
+            }
+        }
+        if (numberSets.size(nums) === 1 && !negs) add(rational(Number(numberOf(nums))), ATOM, 0, 1);
+        forEachSplit(nums, ops, negs, (op, leftArgs, rightArgs) => forEachPair(op, leftArgs, rightArgs, only, (l, r, value) => {
+            for (const ls of l.shapes) {
+                for (const rs of r.shapes) {
+                    const parens = ls.parens + rs.parens + neededBefore(op, ls.binding) + neededAfter(op, rs.binding);
+                    add(value, BINDING[op], parens, ls.count * rs.count);
+                }
+            }
+        }));
+        if (!result.exhaustive) return trees;
+        if (!only) memo.set(key, trees);
+        else {
+            if (!targeted.has(key)) targeted.set(key, new Map());
+            targeted.get(key).set(valueKey(only), trees);
+        }
+        return trees;
+    };
+
+    // Token lists, parentheses only where needed, of up to `max` of the
+    // trees with this value and shape
+    const expand = (nums, ops, negs, value, shape, max) => {
+        if (shape.binding === ATOM) return [[numberOf(nums)]];
+        const out = [];
+        if (shape.binding === NEGATION) {
+            const inner = negate(value);
+            for (const innerShape of groupOf([nums, ops, negs - 1], inner)?.shapes ?? []) {
+                const wrapped = neededAfter('neg', innerShape.binding);
+                if (innerShape.parens + wrapped !== shape.parens) continue;
+                for (const tokens of expand(nums, ops, negs - 1, inner, innerShape, max - out.length)) {
+                    out.push(['-', ...wrap(tokens, wrapped)]);
+                }
+                if (out.length >= max) break;
+            }
+            return out;
+        }
+        forEachSplit(nums, ops, negs, (op, leftArgs, rightArgs) => {
+            if (BINDING[op] !== shape.binding) return;
+            forEachPair(op, leftArgs, rightArgs, value, (l, r) => {
+                for (const ls of l.shapes) {
+                    for (const rs of r.shapes) {
+                        const wrapLeft = neededBefore(op, ls.binding);
+                        const wrapRight = neededAfter(op, rs.binding);
+                        if (out.length >= max || ls.parens + rs.parens + wrapLeft + wrapRight !== shape.parens) continue;
+                        const rights = expand(...rightArgs, r.value, rs, max - out.length);
+                        for (const a of expand(...leftArgs, l.value, ls, max - out.length)) {
+                            for (const b of rights.slice(0, max - out.length)) {
+                                out.push([...wrap(a, wrapLeft), op, ...wrap(b, wrapRight)]);
+                            }
+                        }
+                    }
+                }
+            });
+        });
+        return out;
+    };
+
+    const whole = [numberSets.whole, operatorSets.whole, unaryCount];
+    const shapes = groupOf(whole, goal)?.shapes ?? [];
+    if (!result.exhaustive) return result;
+    result.count = shapes.reduce((s, shape) => s + shape.count, 0);
+
+    for (const shape of shapes) {
+        for (const tokens of expand(...whole, goal, shape, limit - result.solutions.length)) {
+            const evaluated = evaluate(tokens);
+            const solution = padParens(tokens, evaluated.ast, pairs - shape.parens);
+            const solutionDepth = astDepth(evaluated.ast);
+            result.solutions.push(solution);
+            if (result.minDepth === null || solutionDepth < result.minDepth) {
+                result.minDepth = solutionDepth;
+                result.minDepthSolution = solution;
+            }
+        }
+        if (result.solutions.length >= limit || !result.exhaustive) break;
+    }
+    return result;
+};
+
+// --- Distinct solutions ---
+// Solutions that only reorder or regroup the terms of a sum or the factors
+// of a product are one way of solving a puzzle: "8 - 3 + 2" and
+// "2 - (3 - 8)" read the same, "(2 + 3) * 4" and "2 * 4 + 3 * 4" do not.
+const FAMILIES = { '+': ['+', '-'], '-': ['+', '-'], '*': ['*', '/'], '/': ['*', '/'] };
+
+const solutionForm = (node) => {
+    if (node.type === 'num') return formatRational(node.value);
+    if (node.type === 'paren') return solutionForm(node.body);
+    if (node.type === 'neg') return `-(${solutionForm(node.body)})`;
+    const family = FAMILIES[node.op];
+    if (!family) return `(${solutionForm(node.left)} ${node.op} ${solutionForm(node.right)})`;
+
+    // Operands of the whole chain, split by whether they count for or against
+    const sides = [[], []];
+    const collect = (operand, against) => {
+        if (operand.type === 'paren') return collect(operand.body, against);
+        if (operand.type !== 'binary' || !family.includes(operand.op)) return sides[+against].push(solutionForm(operand));
+        collect(operand.left, against);
+        collect(operand.right, operand.op === family[1] ? !against : against);
+    };
+    collect(node, false);
+    return `(${family[0]} ${sides[0].sort().join(' ')} ${family[1]} ${sides[1].sort().join(' ')})`;
+};
+
+export const countDistinctSolutions = (solutions) =>
+    new Set(solutions.map(tokens => solutionForm(parse(tokens).ast))).size;
+
+// --- Difficulty ---
+const OPERATOR_WEIGHTS = { '+': 1, '-': 1.5, '*': 2, '/': 3, '^': 3 };
+
+// Fewer working arrangements, heavier operators and deeper nesting all make
+// a puzzle harder. Scores land roughly between 2 and 30. When the search ran
+// out of budget the number of arrangements is unknown (a null
+// `solutionCount`) and scarcity adds nothing.
+export const rateDifficulty = (tokens, solved) => {
+    const operatorScore = tokens.filter(isOperator).reduce((s, t) => s + (OPERATOR_WEIGHTS[t] || 1), 0);
+    const depth = solved.minDepth ?? expressionDepth(tokens) ?? 0;
+    const solutionCount = solved.exhaustive ? solved.count : null;
+    const scarcity = solutionCount === null ? 0
+        : solutionCount <= 1 ? 3 : solutionCount <= 4 ? 2 : solutionCount <= 12 ? 1 : 0;
+
+    const score = Math.round((operatorScore + depth * 1.5 + scarcity * 2) * 10) / 10;
+    const label = score < 7 ? 'easy' : score < 14 ? 'medium' : 'hard';
+    return { score, label, solutionCount, depth };
+};
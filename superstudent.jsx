@@ -1,234 +1,584 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import './superstudent.css';
+import {
+    analyzePuzzle,
+    generatePuzzle,
+    getMaxNumberForLevel,
+    getTimerDurationForLevel,
+    restorePuzzle,
+    shuffleArray
+} from './engine.js';
+import { DEFAULT_MODE, MODES, PICKABLE_MODES, getMode } from './modes.js';
+import { MAX_EXPONENT, explainSteps, findUnmatchedParens, formatRational, previewValue } from './expression.js';
+import { hintPenalty } from './hints.js';
+import { findInsertIndex, useTokenDrag } from './dragdrop.js';
+import { nextStreak } from './scoring.js';
+import { createAdaptiveState, getAdaptiveDifficulty, recordRound, restoreAdaptiveState } from './adaptive.js';
+import { useProgressStore } from './progressStore.js';
+import { getContentForLevel, tiersUnlockedAt } from './tiers.js';
+import { buildShareUrl, clearChallengeFromUrl, encodePuzzle, getDailyChallenge, readChallenge } from './share.js';
+import { addSetResult, parsePuzzleSet, resultsToCsv } from './puzzleSets.js';
+import { canRedo, canUndo, createHistory, recordEdit, redoEdit, undoEdit } from './history.js';
+import { useCountdown } from './timer.js';
+import { recordMistake, recordPractice, weakestMisconception } from './misconceptions.js';
+import { LOCKED_PREVIEW, MAX_STARS, rateStars, recordLevelResult, starString, totalStars } from './levels.js';
+import { clearRound, loadRound, saveRound } from './roundStore.js';
+import { usePuzzleSource } from './puzzleSource.js';
+import { DEFAULT_DIFFICULTY, DEFAULT_EXIT_URL, resolveConfig } from './config.js';
+import {
+    applyRaceMessage,
+    createRace,
+    createRoomCode,
+    dealRound,
+    helloMessage,
+    isHost,
+    normalizeRoomCode,
+    raceHost,
+    raceMessage,
+    raceStandings,
+    roundMessage,
+    setOwnProgress,
+    statusMessage
+} from './race.js';
+import { KEY_TO_TOKEN, useAnnouncer, useFocusTrap } from './a11y.js';
+import { LOCALES, detectLocale, getTranslator, loadLocale, saveLocale } from './i18n.js';
+import {
+    ACHIEVEMENTS,
+    achievementGoal,
+    achievementProgress,
+    createAchievementState,
+    recordAchievements,
+    restoreAchievementState,
+    roundFacts
+} from './achievements.js';
+import {
+    checkDetail,
+    createSessionLog,
+    logEvent,
+    parseSessionLog,
+    replayBoard,
+    replayFrames,
+    serializeSessionLog,
+    startLoggedRound
+} from './sessionLog.js';
+
+// Shared and daily puzzles must come out the same on every host, so they
+// use the default rather than the host's setting
+const CHALLENGE_MAX_SOLUTIONS = DEFAULT_DIFFICULTY.maxSolutions;
+// Seconds left at which the timer is announced to screen readers
+const TIMER_WARNINGS = [30, 10, 5];
+// How soon a second digit must follow to turn a typed digit into a two-digit piece
+const DIGIT_WAIT = 800;
+// How long leaving the game waits for the round log to reach the server;
+// anything still queued is sent on the next visit
+const EXIT_SYNC_TIMEOUT = 3000;
+// Replay speeds on offer, and the longest a replay lingers between two
+// events at 1×, so a student's long think does not stall it
+const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+const MAX_REPLAY_GAP = 2000;
+// How long the toast for a newly unlocked badge stays up
+const TOAST_DURATION = 4000;
+
+// Takes the host page's settings and callbacks as props; see config.js
+const SuperStudent = (props) => {
+    const config = resolveConfig(props);
+    const { gameName, difficulty } = config;
+    // Host callbacks are read at call time, so listeners never hold stale ones
+    const configRef = useRef(config);
+    configRef.current = config;
 
-const OPS = ['+', '-', '*', '/'];
-const ATTEMPT_LIMIT = 400;
-const GAME_NAME = "Equation Builder";
-
-const SuperStudent = () => {
     // --- State ---
     const [score, setScore] = useState(0);
-    const [timeLeft, setTimeLeft] = useState(60);
-    const [currentLevel, setCurrentLevel] = useState(1);
+    const [currentLevel, setCurrentLevel] = useState(config.startLevel);
+    // Highest level unlocked; currentLevel is lower while replaying an earlier one
+    const [maxLevel, setMaxLevel] = useState(config.startLevel);
     const [gameStarted, setGameStarted] = useState(false);
     const [targetValue, setTargetValue] = useState(null);
-    const [originalExpr, setOriginalExpr] = useState("");
     const [originalTokens, setOriginalTokens] = useState([]);
     const [availableTokens, setAvailableTokens] = useState([]);
     const [equationTokens, setEquationTokens] = useState([]);
+    const [caret, setCaret] = useState(0);
     const [solutionVisible, setSolutionVisible] = useState(false);
+    const [solutions, setSolutions] = useState([]);
+    const [solutionIndex, setSolutionIndex] = useState(0);
     const [activePopup, setActivePopup] = useState('welcome');
-    const [wrongAnswerData, setWrongAnswerData] = useState({ expr: '', result: null, message: '' });
+    const [wrongAnswerData, setWrongAnswerData] = useState({ tokens: [], result: null, message: '', errorIndex: null, steps: [], closest: null, repeated: false, misconception: null });
+    const [explainStep, setExplainStep] = useState(0);
+    const [errorIndex, setErrorIndex] = useState(null);
     const [hint, setHint] = useState(null);
+    const [hintStep, setHintStep] = useState(0);
+    const [roundScore, setRoundScore] = useState(null);
+    // Consecutive solves without hints or a reveal
+    const [streak, setStreak] = useState(0);
+    const [bestStreak, setBestStreak] = useState(0);
+    const [modeId, setModeId] = useState(config.mode || DEFAULT_MODE);
+    const [sprintResult, setSprintResult] = useState(null);
+    const [shareUrl, setShareUrl] = useState('');
+    // Problems found in the last imported puzzle set, and who to credit its results to
+    const [setErrors, setSetErrors] = useState([]);
+    const [studentName, setStudentName] = useState('');
+    // Every attempt checked this round, oldest first
+    const [attempts, setAttempts] = useState([]);
+    // The race room this player is in (see race.js), the code typed to join
+    // one, and why the last try to create or join failed
+    const [race, setRace] = useState(null);
+    const [roomCode, setRoomCode] = useState('');
+    const [raceError, setRaceError] = useState('');
+    // The student's pick of language, else the host's, else the browser's
+    const [localeId, setLocaleId] = useState(() => loadLocale(gameName, config.storage) || config.locale || detectLocale());
+    const t = getTranslator(localeId);
+    // The session log being played back on the board, and why the last log
+    // opened could not be
+    const [replay, setReplay] = useState(null);
+    const [replayError, setReplayError] = useState(null);
+    // Ids of badges unlocked in the last few seconds, shown as toasts
+    const [toasts, setToasts] = useState([]);
 
-    const timerRef = useRef(null);
     const currentQuestionRef = useRef(null);
+    // What the student needed this round, and every finished round so far
+    const roundStatsRef = useRef(null);
+    const roundLogRef = useRef([]);
+    const adaptiveRef = useRef(createAdaptiveState());
+    // Each mode's saved records, and the Sprint run in progress
+    const modeRecordsRef = useRef({});
+    // Misconceptions behind the student's wrong answers: { [id]: { seen, fixed } }
+    const misconceptionsRef = useRef({});
+    // Best star rating and counts per level: { [level]: { stars, solved, played } }
+    const levelResultsRef = useRef({});
+    // Badge tallies and unlocks (see achievements.js)
+    const achievementsRef = useRef(createAchievementState());
+    const generatedCountRef = useRef(0);
+    const sprintRef = useRef(null);
+    // The teacher's puzzle set being played: { set, index, results }
+    const puzzleSetRef = useRef(null);
+    // Everything the student did this session, for export and replay (see sessionLog.js)
+    const sessionLogRef = useRef(null);
+    if (!sessionLogRef.current) sessionLogRef.current = createSessionLog(gameName);
+    // Undo/redo snapshots of the equation row for this round
+    const historyRef = useRef(createHistory());
+    const popupRef = useRef(null);
+    const keyHandlerRef = useRef(null);
+    const prevEquationLengthRef = useRef(0);
+    // The last digit typed, while it may still start a two-digit piece
+    const digitsRef = useRef({ text: '', placedId: null, at: 0 });
+
+    const [liveMessages, announce] = useAnnouncer();
+    // The popup named by the clock's tag opens when it runs out
+    const countdown = useCountdown((expirePopup) => setActivePopup(expirePopup));
+    const { timeLeft } = countdown;
+    // When the board was last hidden behind a popup; that time is not play time
+    const frozenAtRef = useRef(null);
+    const keepRoundRef = useRef(null);
+    const pauseRef = useRef(null);
+    // Race state for listeners, which outlive renders, and the open transport
+    const raceRef = useRef(null);
+    const raceLinkRef = useRef(null);
+    const raceHandlerRef = useRef(null);
+    const leaveRaceRef = useRef(null);
+    const mode = getMode(modeId);
 
     // --- Utils ---
-    const randInt = (a, b) => Math.floor(Math.random() * (b - a + 1)) + a;
     const genId = () => Math.random().toString(36).slice(2, 9);
 
-    const shuffleArray = (arr) => {
-        const newArr = [...arr];
-        for (let i = newArr.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [newArr[i], newArr[j]] = [newArr[j], newArr[i]];
+    const downloadFile = (fileName, text, type) => {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        // Revoking straight away can cancel the download in some browsers
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    };
+
+    // --- Progress ---
+    const applyProgress = useCallback((progress) => {
+        if (progress.level) {
+            setMaxLevel(progress.level);
+            setCurrentLevel(Math.min(progress.currentLevel || progress.level, progress.level));
+        }
+        if (progress.levels) levelResultsRef.current = progress.levels;
+        if (typeof progress.score === 'number') setScore(progress.score);
+        if (typeof progress.bestStreak === 'number') setBestStreak(progress.bestStreak);
+        if (progress.adaptive) adaptiveRef.current = restoreAdaptiveState(progress.adaptive);
+        if (progress.modes) modeRecordsRef.current = progress.modes;
+        if (progress.misconceptions) misconceptionsRef.current = progress.misconceptions;
+        if (progress.achievements) achievementsRef.current = restoreAchievementState(progress.achievements);
+        // Never switch modes under a round that is already on the board, nor
+        // away from the one the host asked for. A race needs its room.
+        const saved = MODES[progress.mode];
+        if (saved && !saved.roomOnly && !currentQuestionRef.current && !configRef.current.mode) setModeId(progress.mode);
+    }, []);
+
+    const [progressStore, syncStatus] = useProgressStore(gameName, applyProgress, {
+        storage: config.storage,
+        endpoints: config.endpoints,
+        request: config.request
+    });
+    const puzzleSource = usePuzzleSource();
+
+    // The copy on this device right away, then whatever the server adds
+    const loadSavedProgress = useCallback(async () => {
+        const local = progressStore.load();
+        if (local) applyProgress(local);
+        const merged = await progressStore.reconcile();
+        if (merged) applyProgress(merged);
+    }, [progressStore, applyProgress]);
+
+    // A host callback that throws must not break the game
+    const notifyHost = (name, payload) => {
+        const callback = configRef.current[name];
+        if (!callback) return;
+        try {
+            callback(payload);
+        } catch (error) {
+            console.warn(`The host's ${name} failed.`, error);
         }
-        return newArr;
     };
 
-    const tokenize = (expr) => {
-        const re = /(\d+|\+|\-|\*|\/|\(|\))/g;
-        return expr.match(re) || [];
+    // `changes` overrides values whose state update has not rendered yet
+    const saveProgress = (changes = {}) => {
+        const progress = {
+            level: maxLevel,
+            currentLevel,
+            levels: levelResultsRef.current,
+            score,
+            bestStreak,
+            adaptive: adaptiveRef.current,
+            mode: modeId,
+            modes: modeRecordsRef.current,
+            misconceptions: misconceptionsRef.current,
+            achievements: achievementsRef.current,
+            ...changes
+        };
+        notifyHost('onProgress', progress);
+        return progressStore.save(progress);
     };
 
-    const safeEval = (expr) => {
-        if (!/^[0-9+\-*/()]+$/.test(expr)) throw new Error("Unsafe expression");
-        return new Function('"use strict"; return (' + expr + ');')();
+    // Leaves for /games unless the host handles the exit itself
+    const logGameEnd = useCallback(async () => {
+        const rounds = roundLogRef.current;
+        const session = sessionLogRef.current;
+        clearRound(configRef.current.gameName);
+        await Promise.race([
+            progressStore.logGameEnd({ rounds, session }),
+            new Promise(resolve => setTimeout(resolve, EXIT_SYNC_TIMEOUT))
+        ]);
+        if (configRef.current.onExit) notifyHost('onExit', { rounds, session });
+        else window.location.href = DEFAULT_EXIT_URL;
+    }, [progressStore]);
+
+    // --- Game Logic ---
+    // `expirePopup` is shown when the clock runs out
+    const startTimer = (seconds, expirePopup = 'timeUp', options) => countdown.start(seconds, expirePopup, options);
+
+    const stopTimer = () => countdown.stop();
+
+    // Time the round has been on the board, leaving out time behind popups
+    const activeMs = (q) => {
+        const frozenAt = frozenAtRef.current;
+        const frozenFor = frozenAt === null ? 0 : Date.now() - Math.max(frozenAt, q.startedAt);
+        return Date.now() - q.startedAt - (q.pausedMs || 0) - frozenFor;
     };
 
-    const balancedParens = (s) => {
-        let c = 0;
-        for (const ch of s) {
-            if (ch === '(') c++;
-            else if (ch === ')') {
-                c--;
-                if (c < 0) return false;
-            }
+    // Logs the current round once, however it ended. 'solved' and 'closest'
+    // (Countdown's best miss) are scored, and saved, by awardRound.
+    const finishRound = (outcome) => {
+        const stats = roundStatsRef.current;
+        const q = currentQuestionRef.current;
+        if (!stats || stats.finished || !q) return;
+        stats.finished = true;
+        recordEvent('end', outcome);
+        const scored = outcome === 'solved' || outcome === 'closest';
+        const round = {
+            solved: outcome === 'solved',
+            solveTime: Math.round(activeMs(q) / 1000),
+            timeLimit: q.timeLimit,
+            wrongChecks: stats.wrongChecks,
+            hintsUsed: stats.hints.length,
+            revealed: stats.revealed
+        };
+        const entry = {
+            mode: mode.id,
+            challenge: q.challenge ? q.challenge.kind : null,
+            setEntry: q.setEntry ?? null,
+            seed: q.seed,
+            level: q.level,
+            target: q.target,
+            outcome,
+            practice: q.practice ?? null,
+            hints: stats.hints,
+            revealed: stats.revealed,
+            wrongChecks: stats.wrongChecks,
+            mistakes: stats.mistakes,
+            solveTime: round.solveTime
+        };
+        roundLogRef.current.push(entry);
+        notifyHost('onRoundComplete', entry);
+
+        if (q.setEntry && puzzleSetRef.current) {
+            const { results } = puzzleSetRef.current;
+            results[q.setEntry - 1] = addSetResult(results[q.setEntry - 1], {
+                correct: round.solved,
+                time: round.solveTime,
+                attempts: stats.wrongChecks + (round.solved ? 1 : 0),
+                hints: round.hintsUsed,
+                revealed: round.revealed,
+                mistakes: stats.mistakes
+            });
+        }
+        // A clean solve of a practice puzzle shows the misconception is being fixed
+        if (q.practice && round.solved && !round.revealed && !stats.mistakes.includes(q.practice)) {
+            misconceptionsRef.current = recordPractice(misconceptionsRef.current, q.practice);
+        }
+
+        // Skipping an untouched puzzle says nothing about the student
+        const attempted = outcome !== 'skipped' || stats.wrongChecks > 0 || stats.hints.length > 0;
+        if (!attempted) return;
+        const badges = recordAchievements(achievementsRef.current, roundFacts({
+            solved: round.solved,
+            revealed: round.revealed,
+            hints: round.hintsUsed,
+            wrongChecks: round.wrongChecks,
+            secondsLeft: mode.clock === 'round' ? q.timeLimit - round.solveTime : null,
+            answer: stats.answer || [],
+            level: q.level,
+            daily: q.challenge?.kind === 'daily'
+        }));
+        achievementsRef.current = badges.state;
+        if (badges.unlocked.length) showBadgeToasts(badges.unlocked);
+        if (mode.adaptive) adaptiveRef.current = recordRound(adaptiveRef.current, round);
+        // Stars rate the student's own levels, not shared or teacher-set puzzles
+        if (mode.levelsUp && !q.challenge && !q.setEntry) {
+            stats.stars = rateStars(round);
+            levelResultsRef.current = recordLevelResult(levelResultsRef.current, q.level, { stars: stats.stars, solved: round.solved });
+        }
+        // A Sprint run is recorded as a whole when its clock runs out
+        if (mode.clock !== 'session') {
+            const records = modeRecordsRef.current;
+            modeRecordsRef.current = { ...records, [mode.id]: mode.record(records[mode.id], round) };
+        }
+        if (!scored) {
+            setStreak(0);
+            saveProgress();
         }
-        return c === 0;
     };
 
-    const getOperatorWeights = (level) => {
-        if (level <= 3) return { '+': 0.5, '-': 0.3, '*': 0.15, '/': 0.05 };
-        if (level <= 6) return { '+': 0.3, '-': 0.2, '*': 0.35, '/': 0.15 };
-        return { '+': 0.2, '-': 0.15, '*': 0.3, '/': 0.35 };
+    const loadPuzzle = (puzzle) => {
+        finishRound('skipped');
+        const round = puzzle.solutions ? puzzle : analyzePuzzle(puzzle);
+        setOriginalTokens([...round.tokens]);
+        setTargetValue(round.target);
+        setAvailableTokens(round.pieces.map(p => ({ ...p, used: false })));
+        setSolutions(round.solutions);
+        setSolutionIndex(0);
+        setHintStep(0);
+        setCaret(0);
+        setRoundScore(null);
+        setAttempts([]);
+        historyRef.current = createHistory();
+        currentQuestionRef.current = { ...round, startedAt: Date.now() };
+        sessionLogRef.current = startLoggedRound(sessionLogRef.current, round);
+        // `closest` is the best valid miss so far, for modes that score those
+        // `mistakes` lists the misconception behind each wrong check, `answer`
+        // is the equation that solved the round
+        roundStatsRef.current = { hints: [], wrongChecks: 0, mistakes: [], revealed: false, closest: null, answer: null, finished: false };
+        announce(
+            t('say.newPuzzle', {
+                target: t.speakNumber(round.target),
+                count: round.pieces.length,
+                pieces: t.speakTokens(round.pieces.map(p => p.token))
+            }),
+            { assertive: true }
+        );
     };
 
-    const getWeightedRandomOperator = (weights) => {
-        const random = Math.random();
-        let cumulative = 0;
-        for (const [op, weight] of Object.entries(weights)) {
-            cumulative += weight;
-            if (random <= cumulative) return op;
-        }
-        return '+';
+    // The level's rules, shifted by the student's rating unless the host
+    // turned adaptive difficulty off
+    const levelSettings = (level) =>
+        getAdaptiveDifficulty(level, difficulty.adaptive ? adaptiveRef.current : null, { baseTimer: difficulty.baseTimer });
+
+    // What to ask the puzzle source for at a level, under the student's
+    // adaptive settings
+    const puzzleRequest = (level, practice = null) => {
+        const settings = levelSettings(level);
+        return {
+            level,
+            practice,
+            options: {
+                level,
+                numCount: settings.pieceCount,
+                maxNumber: settings.maxNumber,
+                opWeights: settings.opWeights,
+                maxSolutions: difficulty.maxSolutions
+            }
+        };
     };
 
-    const getTimerDurationForLevel = (level) => {
-        const baseTime = 60;
-        const timeBonus = Math.max(0, 10 - (level - 1) * 2);
-        return Math.max(30, baseTime + timeBonus);
+    // Puzzles kept ready for this level, the next one, and the practice
+    // round for the weakest misconception
+    const prefetchRounds = (level) => {
+        puzzleSource.prefetch(puzzleRequest(level));
+        puzzleSource.prefetch(puzzleRequest(level + 1));
+        const weakest = weakestMisconception(misconceptionsRef.current, getContentForLevel(level));
+        if (weakest) puzzleSource.prefetch(puzzleRequest(level, weakest));
     };
 
-    // --- API Fallbacks ---
-    const fetchWithFallback = useCallback(async (url, options = {}, mockData = null) => {
-        try {
-            const response = await fetch(url, options);
-            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-            return await response.json();
-        } catch (error) {
-            console.warn(`API call to ${url} failed, using mock data.`, error);
-            return mockData;
+    const newRound = (level = currentLevel) => {
+        if (puzzleSetRef.current) {
+            playSetPuzzle(puzzleSetRef.current.index + 1);
+            return;
         }
-    }, []);
+        // In a race only the host deals, and everyone moves on together
+        if (raceRef.current) {
+            if (isHost(raceRef.current)) dealRaceRound();
+            else announce(t('say.hostDeals'));
+            return;
+        }
+        const settings = levelSettings(level);
+        clearChallengeFromUrl();
 
-    const loadSavedProgress = useCallback(async () => {
-        const mockProgress = { success: true, level: 1 };
-        const data = await fetchWithFallback(`/get_progress/${encodeURIComponent(GAME_NAME)}`, {}, mockProgress);
-        if (data && data.success && data.level) {
-            setCurrentLevel(data.level);
+        if (mode.clock === 'round') startTimer(settings.timerSeconds);
+        else if (mode.clock === 'none') stopTimer();
+        if (sprintRef.current && roundStatsRef.current && !roundStatsRef.current.finished) {
+            sprintRef.current.skipped++;
         }
-    }, [fetchWithFallback]);
+        setEquationTokens([]);
+        setSolutionVisible(false);
+        setHint(null);
+        setActivePopup(null);
+
+        generatedCountRef.current++;
+        const practice = generatedCountRef.current % difficulty.practiceEvery === 0
+            ? weakestMisconception(misconceptionsRef.current, getContentForLevel(level))
+            : null;
+        const puzzle = puzzleSource.take(puzzleRequest(level, practice));
+        prefetchRounds(level);
+        // Untimed modes still keep the level's time as a yardstick for solve times
+        loadPuzzle({ ...mode.preparePuzzle(puzzle, settings), timeLimit: settings.timerSeconds });
+    };
 
-    const saveProgress = useCallback(async (level) => {
-        await fetchWithFallback('/save_progress', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ game_name: GAME_NAME, level })
-        }, { success: true });
-    }, [fetchWithFallback]);
+    // --- Text ---
+    // Engine results and hints carry codes and raw values; the words for
+    // them come from the catalog of the student's language
+    const modeText = (m, field) => t(`modes.${m.id}.${field}`, { minutes: (m.sessionSeconds || 0) / 60 });
+
+    const difficultyText = (rating) => (rating?.label ? t(`difficulty.${rating.label}`) : null);
+
+    // The round lists a few of the working arrangements; the count is of
+    // them all, unless the solver gave up before it knew
+    const solutionHeading = () => {
+        const count = currentQuestionRef.current?.difficulty?.solutionCount;
+        const index = solutionIndex + 1;
+        return count == null
+            ? t('solution.numberedAtLeast', { index, total: solutions.length })
+            : t('solution.numbered', { index, total: Math.max(count, solutions.length) });
+    };
 
-    const logGameEnd = useCallback(async () => {
-        await fetchWithFallback('/api/game/end', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ game_name: GAME_NAME })
-        }, { success: true });
-        window.location.href = "/games";
-    }, [fetchWithFallback]);
+    const resultMessage = (result) => {
+        if (result.distance) return t('check.away', { distance: result.distance });
+        if (result.misconception) return t(`misconceptions.${result.misconception}.message`);
+        if (result.error) return t(`errors.${result.error.code}`, { max: MAX_EXPONENT });
+        return result.reason ? t(`check.${result.reason}`) : '';
+    };
 
-    // --- Game Logic ---
-    const buildRandomExpr = useCallback((numbers, ops) => {
-        let items = numbers.map(n => ({ expr: String(n), value: n }));
-        const opsCopy = [...ops];
-        while (items.length > 1) {
-            const i = randInt(0, items.length - 1);
-            let j = randInt(0, items.length - 1);
-            while (j === i) j = randInt(0, items.length - 1);
-            const op = opsCopy.shift() ?? OPS[Math.floor(Math.random() * OPS.length)];
-            const leftFirst = Math.random() < 0.5;
-            const a = leftFirst ? items[i] : items[j];
-            const b = leftFirst ? items[j] : items[i];
-            const newExpr = '(' + a.expr + op + b.expr + ')';
-            try {
-                const newVal = safeEval(newExpr);
-                if (!Number.isFinite(newVal)) throw new Error('badVal');
-                const idxs = [i, j].sort((x, y) => y - x);
-                idxs.forEach(idx => items.splice(idx, 1));
-                items.push({ expr: newExpr, value: newVal });
-                items = shuffleArray(items);
-            } catch (e) {
-                opsCopy.unshift(op);
-                items = shuffleArray(items);
-                continue;
+    // Hints saved before they carried params keep their English text
+    const hintText = (step) => {
+        const { params } = step;
+        if (!params) return step.text;
+        switch (step.id) {
+            case 'structure': {
+                const order = t(params.powers ? 'hints.orderPowers' : 'hints.order');
+                return t(params.parens ? 'hints.parens' : 'hints.noParens', { order });
             }
+            case 'subvalue':
+                return t('hints.subvalue', { expression: t.tokens(params.tokens), value: t.number(params.value) });
+            case 'prefix':
+                return t('hints.prefix', { pieces: t.tokens(params.tokens) });
+            default:
+                return step.text;
         }
-        return items[0].expr;
-    }, []);
+    };
 
-    const startTimer = useCallback((seconds) => {
-        if (timerRef.current) clearInterval(timerRef.current);
-        setTimeLeft(seconds);
-        timerRef.current = setInterval(() => {
-            setTimeLeft(prev => {
-                if (prev <= 1) {
-                    clearInterval(timerRef.current);
-                    setActivePopup('timeUp');
-                    return 0;
-                }
-                return prev - 1;
-            });
-        }, 1000);
-    }, []);
+    // Catalog text with <b>…</b> marks, for JSX
+    const rich = (text) => text.split(/<b>(.*?)<\/b>/).map((part, i) => (i % 2 ? <strong key={i}>{part}</strong> : part));
+
+    // --- Equation Editing ---
+    const rowSnapshot = () => ({
+        equation: equationTokens,
+        available: availableTokens,
+        caret,
+        solutionVisible,
+        solutionIndex
+    });
+
+    // Called before each undoable edit
+    const rememberRow = () => {
+        historyRef.current = recordEdit(historyRef.current, rowSnapshot());
+    };
 
-    const newRound = useCallback((numCount = null) => {
-        const level = currentLevel;
-        const count = numCount || Math.min(3 + Math.floor((level - 1) / 3), 6);
-        const timerDuration = getTimerDurationForLevel(level);
+    const restoreRow = (snapshot) => {
+        setEquationTokens(snapshot.equation);
+        setAvailableTokens(snapshot.available);
+        setCaret(snapshot.caret);
+        setSolutionVisible(snapshot.solutionVisible);
+        setSolutionIndex(snapshot.solutionIndex);
+        digitsRef.current = { text: '', placedId: null, at: 0 };
+    };
 
-        startTimer(timerDuration);
-        setEquationTokens([]);
-        setSolutionVisible(false);
-        setHint(null);
-        setActivePopup(null);
+    const undo = () => {
+        const step = undoEdit(historyRef.current, rowSnapshot());
+        if (!step) {
+            announce(t('say.nothingToUndo'));
+            return;
+        }
+        historyRef.current = step.history;
+        restoreRow(step.snapshot);
+        recordEvent('set', step.snapshot.equation.map(piece => piece.token));
+    };
 
-        let tries = 0;
-        while (tries < ATTEMPT_LIMIT) {
-            tries++;
-            const maxNumber = Math.min(9, 3 + Math.floor(level / 2));
-            const numbers = Array.from({ length: count }, () => randInt(1, maxNumber));
-            const opWeights = getOperatorWeights(level);
-            const ops = Array.from({ length: count - 1 }, () => getWeightedRandomOperator(opWeights));
-            const expr = buildRandomExpr(numbers, ops);
-
-            try {
-                const val = safeEval(expr);
-                if (!Number.isFinite(val)) continue;
-                if (Math.abs(val - Math.round(val)) > 1e-9) continue;
-                const rounded = Math.round(val);
-                if (Math.abs(rounded) > 1000) continue;
-
-                const tokens = tokenize(expr);
-                const available = tokens.map(t => ({ id: genId(), token: t, used: false }));
-
-                setOriginalExpr(expr);
-                setOriginalTokens(tokens);
-                setTargetValue(rounded);
-                setAvailableTokens(shuffleArray(available));
-                currentQuestionRef.current = {
-                    originalExpr: expr,
-                    originalTokens: [...tokens],
-                    targetValue: rounded,
-                    numCount: count
-                };
-                return;
-            } catch (e) {
-                continue;
-            }
+    const redo = () => {
+        const step = redoEdit(historyRef.current, rowSnapshot());
+        if (!step) {
+            announce(t('say.nothingToRedo'));
+            return;
         }
+        historyRef.current = step.history;
+        restoreRow(step.snapshot);
+        recordEvent('set', step.snapshot.equation.map(piece => piece.token));
+    };
 
-        // Fallback
-        const fallbackExpr = "(3+4)*2";
-        const fallbackTokens = tokenize(fallbackExpr);
-        const fallbackTarget = 14;
-        setOriginalExpr(fallbackExpr);
-        setOriginalTokens(fallbackTokens);
-        setTargetValue(fallbackTarget);
-        setAvailableTokens(shuffleArray(fallbackTokens.map(t => ({ id: genId(), token: t, used: false }))));
-    }, [currentLevel, buildRandomExpr, startTimer]);
+    // `at` is an insertion index into equationTokens
+    const insertIntoEquation = (index, at) => {
+        const token = availableTokens[index];
+        if (!token || token.used) return;
+        rememberRow();
+        setAvailableTokens(availableTokens.map((t, i) => (i === index ? { ...t, used: true } : t)));
+        const newEquation = [...equationTokens];
+        newEquation.splice(at, 0, { id: token.id, token: token.token });
+        setEquationTokens(newEquation);
+        setCaret(at + 1);
+        recordEvent('add', token.token, at);
+    };
 
     const addToEquation = (index) => {
-        const token = availableTokens[index];
-        if (token.used) return;
-        const newAvailable = [...availableTokens];
-        newAvailable[index].used = true;
-        setAvailableTokens(newAvailable);
-        setEquationTokens([...equationTokens, { id: token.id, token: token.token }]);
+        insertIntoEquation(index, Math.min(caret, equationTokens.length));
+    };
+
+    const moveInEquation = (from, to) => {
+        if (to === from || to === from + 1) return;
+        rememberRow();
+        const newEquation = [...equationTokens];
+        const [moved] = newEquation.splice(from, 1);
+        const dest = to > from ? to - 1 : to;
+        newEquation.splice(dest, 0, moved);
+        setEquationTokens(newEquation);
+        setCaret(dest + 1);
+        recordEvent('move', from, to);
     };
 
     const removeFromEquation = (index) => {
         const removed = equationTokens[index];
+        rememberRow();
         const newEquation = [...equationTokens];
         newEquation.splice(index, 1);
         setEquationTokens(newEquation);
@@ -236,59 +586,152 @@ const SuperStudent = () => {
             t.id === removed.id ? { ...t, used: false } : t
         );
         setAvailableTokens(newAvailable);
+        if (index < caret) setCaret(caret - 1);
+        recordEvent('remove', index);
+    };
+
+    // Swaps a piece in the equation for an unused one, in the same place.
+    // Not an edit of its own for undo: it finishes the digit typed just before.
+    const replaceInEquation = (id, index) => {
+        const at = equationTokens.findIndex(t => t.id === id);
+        const piece = availableTokens[index];
+        if (at < 0 || !piece || piece.used) return;
+        setAvailableTokens(availableTokens.map(t => {
+            if (t.id === id) return { ...t, used: false };
+            return t.id === piece.id ? { ...t, used: true } : t;
+        }));
+        const newEquation = equationTokens.map((t, i) => (i === at ? { id: piece.id, token: piece.token } : t));
+        setEquationTokens(newEquation);
+        setCaret(at + 1);
+        recordEvent('set', newEquation.map(t => t.token));
+    };
+
+    const handleDrop = ({ source, index }, { zone, insertAt }) => {
+        if (source === 'pieces' && zone === 'equation') insertIntoEquation(index, insertAt);
+        else if (source === 'equation' && zone === 'equation') moveInEquation(index, insertAt);
+        else if (source === 'equation' && zone === 'pieces') removeFromEquation(index);
+    };
+
+    const { drag, startHandler, consumeClick } = useTokenDrag(handleDrop);
+
+    // Clicking a gap in the equation row moves the insertion caret there
+    const placeCaret = (e) => {
+        if (e.target !== e.currentTarget || consumeClick()) return;
+        setCaret(findInsertIndex(e.currentTarget, e.clientX));
     };
 
     const resetEquation = () => {
+        if (!equationTokens.length && !solutionVisible) return;
+        rememberRow();
         setEquationTokens([]);
+        setCaret(0);
         setAvailableTokens(availableTokens.map(t => ({ ...t, used: false })));
         setSolutionVisible(false);
         setHint(null);
+        recordEvent('reset');
     };
 
-    const checkEquation = () => {
-        const exprStr = equationTokens.map(t => t.token).join('');
-        const cleanExprStr = exprStr.replace(/\s+/g, '');
-
-        if (!/^[0-9+\-*/()]+$/.test(cleanExprStr)) {
-            setWrongAnswerData({ expr: cleanExprStr, result: null, message: 'Invalid characters detected.' });
-            setActivePopup('wrongAnswer');
-            return;
-        }
+    // Round score under the active mode's rules for a graded attempt
+    const scoreAttempt = (result) => {
+        const q = currentQuestionRef.current;
+        const stats = roundStatsRef.current;
+        const newStreak = nextStreak(streak, { solved: result.correct, hintsUsed: stats.hints.length, revealed: stats.revealed });
+        const breakdown = mode.score({
+            timeLeft,
+            timeLimit: q.timeLimit,
+            difficulty: q.difficulty,
+            streak: newStreak,
+            hintPenalty: hintPenalty(q.hints, hintStep),
+            wrongChecks: stats.wrongChecks,
+            revealed: stats.revealed,
+            distance: result.distance
+        });
+        return { ...breakdown, streak: newStreak, solved: result.correct };
+    };
 
-        if (!balancedParens(cleanExprStr)) {
-            setWrongAnswerData({ expr: cleanExprStr, result: null, message: 'Parentheses are not balanced.' });
-            setActivePopup('wrongAnswer');
-            return;
+    // Banks the attempt the round ends on: an exact answer, or Countdown's
+    // closest miss
+    const awardRound = (result) => {
+        const breakdown = scoreAttempt(result);
+        const newScore = score + breakdown.total;
+        const newBest = Math.max(bestStreak, breakdown.streak);
+        setScore(newScore);
+        setStreak(breakdown.streak);
+        setBestStreak(newBest);
+        if (sprintRef.current) {
+            sprintRef.current.solved++;
+            sprintRef.current.points += breakdown.total;
         }
+        finishRound(result.correct ? 'solved' : 'closest');
+        // finishRound rates the round in stars, where the mode has levels
+        setRoundScore({ ...breakdown, stars: roundStatsRef.current.stars ?? null });
+        saveProgress({ score: newScore, bestStreak: newBest });
+        return breakdown;
+    };
 
-        try {
-            const val = safeEval(cleanExprStr);
-            const rounded = Math.round(val);
-
-            if (Math.abs(val - rounded) > 1e-9) {
-                setWrongAnswerData({ expr: cleanExprStr, result: val, message: 'Must evaluate to a whole number.' });
-                setActivePopup('wrongAnswer');
+    const checkEquation = () => {
+        const tokens = equationTokens.map(t => t.token);
+        const result = mode.grade(currentQuestionRef.current, tokens);
+        const stats = roundStatsRef.current;
+        const repeated = attempts.some(a => a.tokens.join(' ') === tokens.join(' '));
+        const message = resultMessage(result);
+        recordEvent('check', result.correct, result.value ? formatRational(result.value) : null, checkDetail(result));
+        setAttempts([...attempts, {
+            tokens,
+            value: result.value ? formatRational(result.value) : null,
+            message,
+            correct: result.correct
+        }]);
+
+        if (result.correct) {
+            stats.answer = tokens;
+            const { total } = awardRound(result);
+            // Sprint keeps the clock running straight into the next puzzle
+            if (mode.clock === 'session') {
+                announce(t('say.correctNext', { points: t('common.points', { count: total }) }), { assertive: true });
+                newRound();
                 return;
             }
-
-            if (rounded === targetValue) {
-                setScore(prev => prev + 10);
-                setActivePopup('correct');
-            } else {
-                setWrongAnswerData({ expr: cleanExprStr, result: rounded, message: 'Try rearranging the pieces!' });
-                setActivePopup('wrongAnswer');
+            announce(t('say.correct', { points: t('common.points', { count: total }) }), { assertive: true });
+            setActivePopup('correct');
+        } else {
+            // A valid miss is part of Countdown, not a mistake
+            const isMiss = result.distance != null;
+            if (isMiss && (!stats.closest || result.distance < stats.closest.distance)) {
+                stats.closest = { ...result, tokens };
             }
-        } catch (e) {
-            setWrongAnswerData({ expr: cleanExprStr, result: null, message: 'Cannot evaluate - check syntax.' });
+            if (!isMiss) stats.wrongChecks++;
+            if (!isMiss && result.misconception) {
+                stats.mistakes.push(result.misconception);
+                misconceptionsRef.current = recordMistake(misconceptionsRef.current, result.misconception);
+            }
+            const badIndex = result.error ? result.error.position : null;
+            setWrongAnswerData({
+                tokens,
+                result: result.value ? formatRational(result.value) : null,
+                message,
+                errorIndex: badIndex,
+                steps: explainSteps(tokens).steps || [],
+                closest: stats.closest,
+                repeated,
+                misconception: isMiss ? null : result.misconception
+            });
+            setExplainStep(0);
+            setErrorIndex(badIndex);
+            announce(t(repeated ? 'say.notQuiteRepeated' : 'say.notQuite', { message }), { assertive: true });
             setActivePopup('wrongAnswer');
         }
     };
 
+    // Each press while the solution is showing moves on to another arrangement
     const revealSolution = () => {
+        const index = solutionVisible ? (solutionIndex + 1) % solutions.length : solutionIndex;
+        const solutionTokens = solutions[index] || originalTokens;
+        rememberRow();
         const newEquation = [];
         const newAvailable = availableTokens.map(t => ({ ...t, used: false }));
 
-        originalTokens.forEach(tok => {
+        solutionTokens.forEach(tok => {
             const idx = newAvailable.findIndex(t => !t.used && t.token === tok);
             if (idx >= 0) {
                 newAvailable[idx].used = true;
@@ -300,187 +743,1129 @@ const SuperStudent = () => {
 
         setAvailableTokens(newAvailable);
         setEquationTokens(newEquation);
+        setCaret(newEquation.length);
+        setSolutionIndex(index);
         setSolutionVisible(true);
+        recordEvent('reveal', newEquation.map(t => t.token));
+
+        // A reveal spends the whole ladder, whichever button asked for it
+        roundStatsRef.current.revealed = true;
+        setHintStep(currentQuestionRef.current.hints.length);
     };
 
-    const hintTimerRef = useRef(null);
+    // Each press climbs one rung of the ladder; the last rung is the reveal
+    const showHint = () => {
+        const ladder = currentQuestionRef.current?.hints;
+        if (!ladder || hintStep >= ladder.length) return;
+
+        const step = ladder[hintStep];
+        roundStatsRef.current.hints.push(step.id);
+        setHintStep(hintStep + 1);
+        recordEvent('hint', step);
+
+        if (step.reveal) {
+            revealSolution();
+        } else {
+            const text = t('say.hint', { index: hintStep + 1, total: ladder.length, text: hintText(step) });
+            setHint(text);
+            announce(text);
+        }
+    };
 
-    // ... (existing code)
+    const replayCurrentQuestion = () => {
+        if (!currentQuestionRef.current) {
+            newRound();
+            return;
+        }
+        const q = currentQuestionRef.current;
+        if (mode.clock === 'round') startTimer(q.timeLimit);
+        loadPuzzle({ ...q, pieces: shuffleArray(q.pieces) });
+        setEquationTokens([]);
+        setSolutionVisible(false);
+        setHint(null);
+        setActivePopup(null);
+    };
 
-    const showHintShort = () => {
-        if (!originalExpr) return;
+    // Daily and shared puzzles use the level's own rules, never the student's
+    // adaptive settings, so everyone gets exactly the same puzzle
+    const playChallenge = (challenge) => {
+        // A single puzzle cannot run on a session clock
+        const challengeMode = getMode(challenge.mode).clock === 'session' ? getMode(DEFAULT_MODE) : getMode(challenge.mode);
+        const timerSeconds = getTimerDurationForLevel(challenge.level, difficulty.baseTimer);
+        const puzzle = challenge.expr
+            ? restorePuzzle(challenge)
+            : challengeMode.preparePuzzle(
+                generatePuzzle({ seed: challenge.seed, level: challenge.level, maxSolutions: CHALLENGE_MAX_SOLUTIONS }),
+                { maxNumber: getMaxNumberForLevel(challenge.level) }
+            );
+        if (!puzzle) {
+            announce(t('say.brokenLink'), { assertive: true });
+            clearChallengeFromUrl();
+            return;
+        }
 
-        // Clear existing timer if any
-        if (hintTimerRef.current) clearTimeout(hintTimerRef.current);
+        setModeId(challengeMode.id);
+        puzzleSetRef.current = null;
+        leaveRace();
+        setGameStarted(true);
+        setActivePopup(null);
+        setEquationTokens([]);
+        setSolutionVisible(false);
+        setHint(null);
+        sprintRef.current = null;
+        if (challengeMode.clock === 'none') stopTimer();
+        else startTimer(timerSeconds);
+        loadPuzzle({ ...puzzle, timeLimit: timerSeconds, challenge: { kind: challenge.kind, date: challenge.date } });
+    };
 
-        const needsParens = originalExpr.includes('(');
-        const ops = originalTokens.filter(t => OPS.includes(t));
-        const counts = ops.reduce((m, t) => (m[t] = (m[t] || 0) + 1, m), {});
-        const firstTok = originalTokens[0];
-        const lastTok = originalTokens[originalTokens.length - 1];
+    // --- Puzzle Sets ---
+    // A problem with an imported set, and the entry it was found in
+    const setErrorText = ({ entry, code, params }) => {
+        const message = t(`setErrors.${code}`, {
+            ...params,
+            reason: params.reason && t(`errors.${params.reason}`, { max: MAX_EXPONENT })
+        });
+        return entry ? t('welcome.setErrorEntry', { entry, message }) : message;
+    };
 
-        const hints = [];
-        if (needsParens) hints.push('Hint: Parentheses are needed.');
-        if (ops.length) {
-            const firstOp = ops[0];
-            const opName = firstOp === '+' ? '+' : firstOp === '-' ? '-' : firstOp === '*' ? '×' : '÷';
-            hints.push(`Hint: The first operator is ${opName}.`);
+    const importPuzzleSet = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        const parsed = parsePuzzleSet(await file.text(), { fileName: file.name });
+        if (!parsed.ok) {
+            setSetErrors(parsed.errors);
+            announce(t('say.setProblems', { count: parsed.errors.length }), { assertive: true });
+            return;
         }
-        hints.push(`Hint: Operators — +:${counts['+'] || 0}, -:${counts['-'] || 0}, ×:${counts['*'] || 0}, ÷:${counts['/'] || 0}`);
-        if (/[()]/.test(firstTok)) hints.push('Hint: Starts with parenthesis.');
-        else hints.push(`Hint: First piece is "${firstTok}".`);
-        if (/[()]/.test(lastTok)) hints.push('Hint: Ends with parenthesis.');
+        setSetErrors([]);
+        // Sets are played one puzzle at a time, every piece used, on each puzzle's own clock
+        setModeId(DEFAULT_MODE);
+        sprintRef.current = null;
+        leaveRace();
+        finishRound('skipped');
+        puzzleSetRef.current = { set: parsed.set, index: -1, results: [] };
+        setGameStarted(true);
+        playSetPuzzle(0);
+    };
 
-        setHint(hints[Math.floor(Math.random() * hints.length)]);
+    const playSetPuzzle = (index) => {
+        const { set } = puzzleSetRef.current;
+        setEquationTokens([]);
+        setSolutionVisible(false);
+        setHint(null);
+        if (index >= set.puzzles.length) {
+            finishRound('skipped');
+            stopTimer();
+            setActivePopup('setComplete');
+            return;
+        }
+        const timerSeconds = set.puzzles[index].timeLimit || getTimerDurationForLevel(currentLevel, difficulty.baseTimer);
+        puzzleSetRef.current.index = index;
+        setActivePopup(null);
+        startTimer(timerSeconds);
+        loadPuzzle({ ...set.puzzles[index], level: currentLevel, timeLimit: timerSeconds, setEntry: index + 1 });
+    };
 
-        // Set timer to clear hint after 10 seconds
-        hintTimerRef.current = setTimeout(() => {
-            setHint(null);
-        }, 10000);
+    const downloadSetResults = () => {
+        const { set, results } = puzzleSetRef.current;
+        const csv = resultsToCsv(set, results, { student: studentName.trim(), t });
+        downloadFile(`${set.name} - ${studentName.trim() || t('set.fileName')}.csv`, csv, 'text/csv');
     };
 
-    const replayCurrentQuestion = () => {
-        if (!currentQuestionRef.current) {
-            newRound();
+    const leavePuzzleSet = () => {
+        puzzleSetRef.current = null;
+        newRound();
+    };
+
+    // --- Race ---
+    const updateRace = (next) => {
+        raceRef.current = next;
+        setRace(next);
+    };
+
+    const sendToRace = (message) => raceLinkRef.current?.transport.send(message);
+
+    const openRaceLobby = () => {
+        setRaceError('');
+        setActivePopup('raceLobby');
+    };
+
+    // Opens the room's transport and says hello; answers come in through
+    // raceHandlerRef
+    const enterRace = (room, host) => {
+        leaveRace();
+        let transport;
+        try {
+            transport = configRef.current.raceTransport(room);
+        } catch (error) {
+            console.warn('Could not open the race room.', error);
+            setRaceError(t('race.unavailable'));
             return;
         }
-        const q = currentQuestionRef.current;
-        startTimer(getTimerDurationForLevel(currentLevel));
-        setOriginalExpr(q.originalExpr);
-        setOriginalTokens([...q.originalTokens]);
-        setTargetValue(q.targetValue);
-        setAvailableTokens(shuffleArray(q.originalTokens.map(t => ({ id: genId(), token: t, used: false }))));
+        const name = studentName.trim() || t(host ? 'race.host' : 'race.player');
+        const next = createRace({ room, player: { id: genId(), name, host } });
+        const unsubscribe = transport.subscribe(message => raceHandlerRef.current(message));
+        raceLinkRef.current = { transport, unsubscribe };
+        updateRace(next);
+        transport.send(helloMessage(next));
+        setRaceError('');
+        setActivePopup('raceRoom');
+        announce(t(host ? 'say.roomOpen' : 'say.roomJoined', { room }), { assertive: true });
+    };
+
+    const createRaceRoom = () => enterRace(createRoomCode(), true);
+
+    const joinRaceRoom = () => {
+        const room = normalizeRoomCode(roomCode);
+        if (!room) {
+            setRaceError(t('race.badCode'));
+            return;
+        }
+        enterRace(room, false);
+    };
+
+    // Says goodbye to the room; the board stays as it is
+    const leaveRace = () => {
+        const current = raceRef.current;
+        const link = raceLinkRef.current;
+        if (!current || !link) return;
+        link.transport.send(raceMessage(current, 'bye'));
+        link.unsubscribe();
+        link.transport.close();
+        raceLinkRef.current = null;
+        updateRace(null);
+    };
+
+    leaveRaceRef.current = leaveRace;
+
+    const quitRace = () => {
+        leaveRace();
+        finishRound('skipped');
+        setModeId(DEFAULT_MODE);
+        setActivePopup('welcome');
+    };
+
+    const playRaceRound = (current) => {
+        const puzzle = restorePuzzle(current.puzzle);
+        if (!puzzle) return;
+        setModeId('race');
+        puzzleSetRef.current = null;
+        sprintRef.current = null;
+        setGameStarted(true);
+        setActivePopup(null);
         setEquationTokens([]);
         setSolutionVisible(false);
-        setActivePopup(null);
+        setHint(null);
+        stopTimer();
+        loadPuzzle({ ...puzzle, timeLimit: getTimerDurationForLevel(puzzle.level, difficulty.baseTimer), race: current.round });
+    };
+
+    // The host's own level and settings decide the puzzle; everyone gets
+    // its exact tray
+    const dealRaceRound = () => {
+        const puzzle = puzzleSource.take(puzzleRequest(currentLevel));
+        const next = dealRound(raceRef.current, {
+            seed: puzzle.seed,
+            level: puzzle.level,
+            expr: puzzle.expr,
+            tray: puzzle.pieces.map(p => p.token)
+        });
+        updateRace(next);
+        sendToRace(roundMessage(next));
+        playRaceRound(next);
+    };
+
+    raceHandlerRef.current = (message) => {
+        const before = raceRef.current;
+        if (!before) return;
+        const next = applyRaceMessage(before, message);
+        if (next === before) return;
+        updateRace(next);
+        // A newcomer learns who is here, and the round in play
+        if (message.type === 'hello') {
+            sendToRace(statusMessage(next));
+            if (isHost(next) && next.puzzle) sendToRace(roundMessage(next));
+        }
+        if (next.round !== before.round) playRaceRound(next);
+    };
+
+    // A Sprint run cannot be shared, only its puzzle
+    const shareModeId = () => (mode.clock === 'session' ? DEFAULT_MODE : mode.id);
+
+    const sharePuzzle = () => {
+        const q = currentQuestionRef.current;
+        if (!q) return;
+        setShareUrl(buildShareUrl(q, shareModeId()));
+        setActivePopup('share');
+    };
+
+    // The share link's code, which holds the expression and the tray; the
+    // seed alone does not bring back a puzzle made under adaptive settings
+    const puzzleCode = (q) => encodePuzzle(q, shareModeId());
+
+    const copyShareUrl = async () => {
+        try {
+            await navigator.clipboard.writeText(shareUrl);
+            announce(t('say.copied'), { assertive: true });
+        } catch {
+            // No clipboard access: leave the link selected for copying by hand
+            const input = popupRef.current?.querySelector('.share-url');
+            if (input) input.select();
+            announce(t('say.copyByHand'), { assertive: true });
+        }
     };
 
     const nextLevel = () => {
         const next = currentLevel + 1;
+        const unlocked = Math.max(maxLevel, next);
         setCurrentLevel(next);
-        saveProgress(next);
+        setMaxLevel(unlocked);
+        saveProgress({ level: unlocked, currentLevel: next });
         setActivePopup(null);
-        newRound();
+        newRound(next);
     };
 
-    const startGame = () => {
+    const keepClosest = () => {
+        const { closest } = roundStatsRef.current;
+        if (!closest) return;
+        const { total } = awardRound(closest);
+        announce(t('say.kept', { points: t('common.points', { count: total }) }), { assertive: true });
+        setActivePopup('correct');
+    };
+
+    // `level` is where to start; the current level unless picked on the level map
+    const startGame = (level = currentLevel) => {
         setGameStarted(true);
         setActivePopup(null);
-        newRound();
+        setSprintResult(null);
+        // Close out whatever was on screen before the run starts counting
+        finishRound('skipped');
+        sprintRef.current = null;
+        puzzleSetRef.current = null;
+        leaveRace();
+        if (mode.clock === 'session') {
+            sprintRef.current = { solved: 0, skipped: 0, points: 0 };
+            startTimer(mode.sessionSeconds, 'sprintOver');
+        }
+        newRound(level);
+    };
+
+    // --- Session Log ---
+    const recordEvent = (type, ...data) => {
+        sessionLogRef.current = logEvent(sessionLogRef.current, type, data);
+    };
+
+    const downloadSessionLog = () => {
+        const date = new Date(sessionLogRef.current.startedAt).toISOString().slice(0, 10);
+        const name = studentName.trim() || t('replay.fileName');
+        downloadFile(`${gameName} - ${name} - ${date}.json`, serializeSessionLog(sessionLogRef.current), 'application/json');
+    };
+
+    // --- Replay ---
+    // A replay takes over the board until it is closed, then goes back to
+    // the popup it was opened from. The live round's clock waits meanwhile.
+    const showReplayRound = (log, index, options) => {
+        const frames = replayFrames(log.rounds[index]);
+        setReplay({ speed: 1, ...options, log, round: index, frames, frame: 0, playing: frames.length > 1 });
+        announce(t('replay.watching', { index: index + 1, total: log.rounds.length }));
+    };
+
+    const watchReplay = (log, returnTo) => {
+        setReplayError(null);
+        setActivePopup(null);
+        showReplayRound(log, 0, { returnTo });
+    };
+
+    const openReplayFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        const parsed = parseSessionLog(await file.text());
+        if (!parsed.ok) {
+            setReplayError(parsed.error);
+            announce(t(`replay.errors.${parsed.error}`), { assertive: true });
+            return;
+        }
+        watchReplay(parsed.log, 'welcome');
+    };
+
+    // Starts again from the top when played at the end
+    const toggleReplay = () => {
+        const atEnd = replay.frame >= replay.frames.length - 1;
+        setReplay({ ...replay, frame: atEnd ? 0 : replay.frame, playing: !replay.playing || atEnd });
+    };
+
+    const seekReplay = (frame) => {
+        setReplay({ ...replay, frame: Math.max(0, Math.min(replay.frames.length - 1, frame)), playing: false });
+    };
+
+    // What happened at a frame, in words; removals name the piece from the
+    // frame before
+    const replayCaption = (index) => {
+        const { event } = replay.frames[index];
+        if (!event) return t('replay.start');
+        const [, type, ...data] = event;
+        switch (type) {
+            case 'add': return t('replay.add', { piece: t.token(data[0]) });
+            case 'remove': return t('replay.remove', { piece: t.token(replay.frames[index - 1].tokens[data[0]]) });
+            case 'move': return t('replay.move', { piece: t.token(replay.frames[index - 1].tokens[data[0]]) });
+            case 'set':
+                return data[0].length ? t('replay.set', { pieces: t.tokens(data[0]) }) : t('replay.reset');
+            case 'reset': return t('replay.reset');
+            case 'hint': return data[0].reveal ? t('replay.hintReveal') : t('replay.hint', { text: hintText(data[0]) });
+            case 'check': {
+                const [correct, value, detail] = data;
+                if (correct) return t('replay.correct');
+                const why = resultMessage(detail || {});
+                if (value === null) return t('replay.checkError', { message: why });
+                return [t('replay.checkValue', { value: t.number(value) }), why].filter(Boolean).join(' ');
+            }
+            case 'reveal': return t('replay.reveal');
+            case 'timeUp': return t('replay.timeUp');
+            case 'end': return t(`replay.end.${data[0]}`);
+            default: return '';
+        }
+    };
+
+    const closeReplay = () => {
+        setActivePopup(replay.returnTo);
+        setReplay(null);
+    };
+
+    // Closes the level map or badges: back to the round, or to the welcome
+    // screen before the first one
+    const returnFromOverlay = () => setActivePopup(gameStarted ? null : 'welcome');
+
+    // --- Badges ---
+    const showBadgeToasts = (badges) => {
+        const ids = badges.map(badge => badge.id);
+        setToasts(current => [...current, ...ids]);
+        setTimeout(() => setToasts(current => current.filter(id => !ids.includes(id))), TOAST_DURATION);
+    };
+
+    const openBadges = () => setActivePopup('badges');
+
+    // --- Language ---
+    const changeLocale = (id) => {
+        setLocaleId(id);
+        saveLocale(gameName, id, config.storage);
+    };
+
+    // --- Level Map ---
+    const openLevelMap = () => setActivePopup('levels');
+
+    const playLevel = (level) => {
+        if (level > maxLevel) return;
+        setCurrentLevel(level);
+        saveProgress({ currentLevel: level });
+        startGame(level);
+    };
+
+    const pauseGame = () => {
+        if (!gameStarted || activePopup || replay) return;
+        setActivePopup('paused');
+        announce(t('say.paused'), { assertive: true });
+    };
+
+    pauseRef.current = pauseGame;
+
+    const resumeGame = () => {
+        setActivePopup(null);
+        announce(t('say.resumed'), { assertive: true });
+    };
+
+    // Kept on every change so a reload can pick the round up where it was
+    keepRoundRef.current = () => {
+        const q = currentQuestionRef.current;
+        const stats = roundStatsRef.current;
+        if (!gameStarted || !q || !stats) return;
+        // A race round cannot come back without its room
+        if (stats.finished || q.race) {
+            clearRound(gameName);
+            return;
+        }
+        const remainingMs = countdown.remainingMs();
+        saveRound(gameName, {
+            modeId,
+            question: { ...q, pausedMs: 0 },
+            activeMs: activeMs(q),
+            equation: equationTokens,
+            available: availableTokens,
+            caret,
+            hint,
+            hintStep,
+            solutionVisible,
+            solutionIndex,
+            stats,
+            attempts,
+            clock: remainingMs === null ? null : { remainingMs, expirePopup: countdown.currentTag() },
+            sprint: sprintRef.current,
+            puzzleSet: puzzleSetRef.current
+        });
+    };
+
+    // Returns false when there is no round to come back to
+    const resumeSavedRound = () => {
+        const saved = loadRound(gameName);
+        if (!saved) return false;
+        setModeId(getMode(saved.modeId).id);
+        setGameStarted(true);
+        sprintRef.current = saved.sprint;
+        puzzleSetRef.current = saved.puzzleSet;
+        loadPuzzle(saved.question);
+        currentQuestionRef.current = { ...currentQuestionRef.current, startedAt: Date.now() - saved.activeMs };
+        roundStatsRef.current = saved.stats;
+        setEquationTokens(saved.equation);
+        setAvailableTokens(saved.available);
+        if (saved.equation.length) recordEvent('set', saved.equation.map(piece => piece.token));
+        setCaret(saved.caret);
+        setHint(saved.hint);
+        setHintStep(saved.hintStep);
+        setSolutionVisible(saved.solutionVisible);
+        setSolutionIndex(saved.solutionIndex);
+        setAttempts(saved.attempts);
+        if (saved.clock) startTimer(saved.clock.remainingMs / 1000, saved.clock.expirePopup, { paused: true });
+        else stopTimer();
+        // Back behind the pause screen, so the clock waits for the student
+        setActivePopup('paused');
+        return true;
+    };
+
+    const changeMode = () => {
+        // A race room has its own mode; picking another one leaves it
+        if (raceRef.current) {
+            quitRace();
+            return;
+        }
+        stopTimer();
+        setActivePopup('welcome');
+    };
+
+    const canCheck = mode.canCheck({ used: equationTokens.length, total: availableTokens.length });
+
+    // --- Keyboard ---
+    const takePiece = (tok) => {
+        const index = availableTokens.findIndex(t => !t.used && t.token === tok);
+        if (index >= 0) addToEquation(index);
+        else announce(t('say.noPiece', { piece: t.speakToken(tok) }));
+    };
+
+    // Two-digit pieces are typed digit by digit. A digit that is a piece of
+    // its own goes in at once and is swapped for the longer piece if the next
+    // digit completes one; a digit that only starts a longer piece waits.
+    const typeDigit = (digit) => {
+        const pending = digitsRef.current;
+        digitsRef.current = { text: '', placedId: null, at: 0 };
+        const findPiece = (tok) => availableTokens.findIndex(t => !t.used && t.token === tok);
+
+        if (pending.text && (!pending.placedId || Date.now() - pending.at < DIGIT_WAIT)) {
+            const index = findPiece(pending.text + digit);
+            if (index >= 0) {
+                if (pending.placedId) replaceInEquation(pending.placedId, index);
+                else addToEquation(index);
+                return;
+            }
+        }
+
+        const index = findPiece(digit);
+        const startsLonger = availableTokens.some(t => !t.used && t.token.length > 1 && t.token.startsWith(digit));
+        if (startsLonger) {
+            digitsRef.current = { text: digit, placedId: index >= 0 ? availableTokens[index].id : null, at: Date.now() };
+        }
+        if (index >= 0) addToEquation(index);
+        else if (!startsLonger) announce(t('say.noPiece', { piece: digit }));
+    };
+
+    const moveCaret = (to) => {
+        const pos = Math.max(0, Math.min(equationTokens.length, to));
+        setCaret(pos);
+        announce(pos === 0 ? t('say.start') : t('say.after', { piece: t.speakToken(equationTokens[pos - 1].token) }));
+    };
+
+    // Typing plays the game: pieces by their symbol, arrows move the caret,
+    // Backspace/Delete return pieces, letters trigger the side buttons.
+    keyHandlerRef.current = (e) => {
+        if (!gameStarted || activePopup || replay) return;
+        if (e.target.closest && e.target.closest('input, textarea, select')) return;
+        // Ctrl+Z / Ctrl+Shift+Z (Cmd on a Mac)
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'z') {
+            e.preventDefault();
+            if (e.shiftKey) redo();
+            else undo();
+            return;
+        }
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+        const caretAt = Math.min(caret, equationTokens.length);
+        if (/^\d$/.test(e.key)) {
+            e.preventDefault();
+            typeDigit(e.key);
+            return;
+        }
+        digitsRef.current = { text: '', placedId: null, at: 0 };
+        if (KEY_TO_TOKEN[e.key]) {
+            e.preventDefault();
+            takePiece(KEY_TO_TOKEN[e.key]);
+            return;
+        }
+
+        switch (e.key) {
+            case 'ArrowLeft': moveCaret(caretAt - 1); break;
+            case 'ArrowRight': moveCaret(caretAt + 1); break;
+            case 'Home': moveCaret(0); break;
+            case 'End': moveCaret(equationTokens.length); break;
+            case 'Backspace':
+                if (caretAt > 0) removeFromEquation(caretAt - 1);
+                break;
+            case 'Delete':
+                if (caretAt < equationTokens.length) removeFromEquation(caretAt);
+                break;
+            case 'Enter':
+                // Let a focused button handle its own Enter
+                if (e.target.tagName === 'BUTTON') return;
+                if (canCheck && !solutionVisible) checkEquation();
+                else announce(t('say.buildFirst', { rule: modeText(mode, 'rule') }));
+                break;
+            case 'h': case 'H': showHint(); break;
+            case 'r': case 'R': resetEquation(); break;
+            case 'n': case 'N': newRound(); break;
+            case 'p': case 'P': pauseGame(); break;
+            default: return;
+        }
+        e.preventDefault();
     };
 
     // --- Effects ---
     useEffect(() => {
-        loadSavedProgress();
+        const handleKeyDown = (e) => keyHandlerRef.current(e);
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, []);
+
+    const dismissible = activePopup === 'wrongAnswer' || activePopup === 'share' || activePopup === 'paused';
+    const escapePopup = activePopup === 'levels' || activePopup === 'badges' ? returnFromOverlay
+        : activePopup === 'raceLobby' ? () => setActivePopup('welcome')
+            : () => setActivePopup(null);
+    const escapable = dismissible || activePopup === 'levels' || activePopup === 'badges' || activePopup === 'raceLobby';
+    useFocusTrap(popupRef, activePopup, escapable ? escapePopup : null);
+
+    // The clock only runs while the board is in play: any popup, the pause
+    // screen included, or a replay stops it
+    const replaying = replay !== null;
+    useEffect(() => {
+        const frozen = !!activePopup || replaying;
+        if (frozen && frozenAtRef.current === null) {
+            countdown.pause();
+            frozenAtRef.current = Date.now();
+        } else if (!frozen && frozenAtRef.current !== null) {
+            countdown.resume();
+            const q = currentQuestionRef.current;
+            if (q) q.pausedMs = (q.pausedMs || 0) + Date.now() - Math.max(frozenAtRef.current, q.startedAt);
+            frozenAtRef.current = null;
+        }
+    }, [activePopup, replaying]);
+
+    // Steps through the replay in recorded time, long pauses cut short
+    useEffect(() => {
+        if (!replay?.playing) return undefined;
+        const { frames, frame, speed } = replay;
+        if (frame >= frames.length - 1) {
+            setReplay({ ...replay, playing: false });
+            return undefined;
+        }
+        const gap = Math.min(frames[frame + 1].t - frames[frame].t, MAX_REPLAY_GAP);
+        const timer = setTimeout(() => setReplay(current => current && { ...current, frame: current.frame + 1 }), gap / speed);
+        return () => clearTimeout(timer);
+    }, [replay]);
+
+    useEffect(() => {
+        keepRoundRef.current();
+    }, [equationTokens, hintStep, attempts, activePopup, modeId]);
+
+    // Leaving the tab pauses the round; leaving the page keeps it with the
+    // exact time left
+    useEffect(() => {
+        const handleVisibility = () => {
+            if (document.visibilityState !== 'hidden') return;
+            pauseRef.current();
+            keepRoundRef.current();
+        };
+        const handlePageHide = () => keepRoundRef.current();
+        document.addEventListener('visibilitychange', handleVisibility);
+        window.addEventListener('pagehide', handlePageHide);
         return () => {
-            if (timerRef.current) clearInterval(timerRef.current);
-            if (hintTimerRef.current) clearTimeout(hintTimerRef.current);
+            document.removeEventListener('visibilitychange', handleVisibility);
+            window.removeEventListener('pagehide', handlePageHide);
         };
+    }, []);
+
+    useEffect(() => {
+        if (gameStarted && !activePopup && mode.clock !== 'none' && TIMER_WARNINGS.includes(timeLeft)) {
+            announce(t('say.secondsLeft', { count: timeLeft }), { assertive: timeLeft <= 10 });
+        }
+    }, [timeLeft]);
+
+    // Read the equation back after every edit, however it was made
+    useEffect(() => {
+        const length = equationTokens.length;
+        if (length || prevEquationLengthRef.current) {
+            announce(t('say.equation', { pieces: t.speakTokens(equationTokens.map(piece => piece.token)) }));
+        }
+        prevEquationLengthRef.current = length;
+    }, [equationTokens]);
+
+    // The highlighted bad piece only applies to the equation it was found in
+    useEffect(() => {
+        setErrorIndex(null);
+    }, [equationTokens]);
+
+    useEffect(() => {
+        if (activePopup === 'timeUp' || activePopup === 'sprintOver') recordEvent('timeUp');
+        if (activePopup === 'timeUp') {
+            // Countdown keeps the closest answer found before time ran out
+            const closest = roundStatsRef.current?.closest;
+            if (closest && !roundStatsRef.current.finished) awardRound(closest);
+            else finishRound('timeUp');
+        }
+        if (activePopup === 'sprintOver' && sprintRef.current) {
+            finishRound('skipped');
+            const run = sprintRef.current;
+            const records = modeRecordsRef.current;
+            modeRecordsRef.current = { ...records, [mode.id]: mode.record(records[mode.id], run) };
+            setSprintResult({ ...run, records: modeRecordsRef.current[mode.id] });
+            sprintRef.current = null;
+            saveProgress();
+        }
+    }, [activePopup]);
+
+    // A shared link or ?daily skips the welcome screen and opens the puzzle;
+    // otherwise a round left by a reload is picked up again
+    useEffect(() => {
+        const challenge = readChallenge(window.location.search);
+        if (challenge) playChallenge(challenge);
+        else resumeSavedRound();
+    }, []);
+
+    useEffect(() => {
+        loadSavedProgress();
     }, [loadSavedProgress]);
 
-    const allTokensUsed = equationTokens.length === availableTokens.length && equationTokens.length > 0;
+    useEffect(() => {
+        prefetchRounds(currentLevel);
+    }, [currentLevel]);
+
+    // The room sees every piece placed, every check and the solve time
+    useEffect(() => {
+        const current = raceRef.current;
+        const q = currentQuestionRef.current;
+        if (!current || !q?.race || q.race !== current.round) return;
+        const solved = !!roundScore?.solved;
+        // Tenths of a second: races are often close
+        if (solved && q.raceTime == null) q.raceTime = Math.round(activeMs(q) / 100) / 10;
+        const next = setOwnProgress(current, {
+            placed: equationTokens.length,
+            total: q.pieces.length,
+            checks: attempts.length,
+            solved,
+            time: q.raceTime ?? null
+        });
+        updateRace(next);
+        sendToRace(statusMessage(next));
+    }, [equationTokens, attempts, roundScore]);
+
+    // Closing the page or unmounting leaves the room
+    useEffect(() => {
+        const handlePageHide = () => leaveRaceRef.current();
+        window.addEventListener('pagehide', handlePageHide);
+        return () => {
+            window.removeEventListener('pagehide', handlePageHide);
+            leaveRaceRef.current();
+        };
+    }, []);
+
+    // Fractional targets ("7/2") are shown stacked
+    const renderNumber = (value) => {
+        const [numerator, denominator] = String(value).split('/');
+        if (!denominator) return t.number(value);
+        return (
+            <span className="fraction" role="img" aria-label={t.speakNumber(value)}>
+                <span className="numerator">{t.number(numerator)}</span>
+                <span className="denominator">{t.number(denominator)}</span>
+            </span>
+        );
+    };
+
+    // One row per player: solve time once solved, else pieces placed so far
+    const renderStandings = () => (
+        <ol className="race-standings">
+            {raceStandings(race).map(player => {
+                const progress = player.progress;
+                return (
+                    <li key={player.id} className={`${player.id === race.self ? 'self' : ''} ${progress?.solved ? 'solved' : ''}`}>
+                        <span className="race-name">{player.name}{player.host ? ' 👑' : ''}{player.id === race.self ? ` ${t('race.you')}` : ''}</span>
+                        <span className="race-progress">
+                            {!progress ? '…'
+                                : progress.solved ? t('race.solvedIn', { time: progress.time })
+                                    : t('race.placed', { placed: progress.placed, total: progress.total })}
+                        </span>
+                        <span className="race-checks">{progress ? t('race.checks', { count: progress.checks }) : ''}</span>
+                    </li>
+                );
+            })}
+        </ol>
+    );
+
+    const hintLadder = currentQuestionRef.current?.hints || [];
+    const nextHint = hintStep < hintLadder.length ? hintLadder[hintStep] : null;
+    const challenge = currentQuestionRef.current?.challenge;
+    const puzzleSet = puzzleSetRef.current?.set;
+
+    // A replay puts the recorded round on the board in place of the live one
+    const replayRound = replay ? replay.log.rounds[replay.round] : null;
+    const replayFrame = replay ? replay.frames[replay.frame] : null;
+    const board = replay ? replayBoard(replayRound.puzzle.tray, replayFrame.tokens) : null;
+    const boardPieces = board ? board.pieces : availableTokens;
+    const boardEquation = board ? board.equation : equationTokens;
+    const boardTarget = replay ? replayRound.puzzle.target : targetValue;
+
+    const previewTokens = boardEquation.map(t => t.token);
+    const preview = previewValue(previewTokens);
+    const unmatchedParens = findUnmatchedParens(previewTokens);
+
+    const dropZone = drag?.over?.zone;
+    // While dragging over the equation the caret doubles as the drop marker
+    const markerAt = dropZone === 'equation' ? drag.over.insertAt : Math.min(caret, equationTokens.length);
+    const showMarker = !replay && (equationTokens.length > 0 || dropZone === 'equation');
+    const marker = <span className={`eq-caret ${dropZone === 'equation' ? 'drop' : ''}`} aria-hidden="true" />;
 
     return (
-        <>
+        <div className="game-root" dir={t.dir} lang={t.locale}>
             {/* Rotate Device Overlay */}
             <div className="rotate-device-overlay">
                 <div className="rotate-content">
                     <div className="rotate-icon">📱</div>
-                    <h2>Please Rotate Your Device</h2>
-                    <p>This game is designed to be played in landscape mode for the best experience.</p>
+                    <h2>{t('rotate.title')}</h2>
+                    <p>{t('rotate.body')}</p>
                 </div>
             </div>
 
             {/* Header Bar */}
             <header className="header-bar">
-                <button className="back-btn" onClick={logGameEnd} aria-label="Go back">
+                <button className="back-btn" onClick={logGameEnd} aria-label={t('header.back')}>
                     <i className="fas fa-arrow-left"></i>
                 </button>
-                <h1>EQUATION BUILDER</h1>
+                <button className="back-btn levels-btn" onClick={openLevelMap} aria-label={t('header.levelMap')} title={t('header.levelMap')}>
+                    🗺️
+                </button>
+                <button className="back-btn badges-btn" onClick={openBadges} aria-label={t('header.badges')} title={t('header.badges')}>
+                    🏅
+                </button>
+                <h1>{t('header.title')}</h1>
+                <select
+                    className="locale-picker"
+                    value={localeId}
+                    onChange={(e) => changeLocale(e.target.value)}
+                    aria-label={t('header.language')}
+                >
+                    {Object.values(LOCALES).map(locale => (
+                        <option key={locale.id} value={locale.id} lang={locale.id}>{locale.name}</option>
+                    ))}
+                </select>
+                <div className={`sync-status ${syncStatus}`} title={t(`sync.${syncStatus}`)}>
+                    <span className="sync-dot" aria-hidden="true" />
+                    <span className="sync-label">{t(`sync.${syncStatus}`)}</span>
+                </div>
             </header>
 
             {/* Main Content */}
             {/* Main Content */}
             <main className="main-content">
                 {/* Center - Game Card */}
-                <div className="game-card" role="application" aria-label="Equation Builder">
+                <div
+                    className={`game-card ${activePopup === 'paused' ? 'board-hidden' : ''} ${replay ? 'replaying' : ''}`}
+                    role="application"
+                    aria-label={t('board.label')}
+                >
                     {/* Target Display */}
                     <div className="target-section">
                         <div className="target-content">
-                            <div className="target-label">TARGET NUMBER</div>
-                            <div className="target-value">{targetValue ?? '--'}</div>
+                            <div className="target-label">{t('board.target')}</div>
+                            <div className="target-value">{boardTarget === null ? '--' : renderNumber(boardTarget)}</div>
                         </div>
                         {/* Circular Timer Integration */}
-                        <div className="timer-circle">
-                            <span className="timer-val">{timeLeft}s</span>
-                        </div>
+                        {replay ? (
+                            <div className="timer-circle" role="timer" aria-label={t('replay.elapsed', { count: Math.floor(replayFrame.t / 1000) })}>
+                                <span className="timer-val" aria-hidden="true">{t('board.timer', { count: Math.floor(replayFrame.t / 1000) })}</span>
+                            </div>
+                        ) : (
+                            <div
+                                className="timer-circle"
+                                role="timer"
+                                aria-label={mode.clock === 'none' ? t('board.noTimeLimit') : t('board.secondsLeft', { count: timeLeft })}
+                            >
+                                <span className="timer-val" aria-hidden="true">{mode.clock === 'none' ? '∞' : t('board.timer', { count: timeLeft })}</span>
+                            </div>
+                        )}
                     </div>
 
+                    {challenge && !replay && (
+                        <div className="challenge-banner">
+                            {challenge.kind === 'daily' ? t('banner.daily', { date: t.date(challenge.date) }) : t('banner.shared')}
+                        </div>
+                    )}
+                    {currentQuestionRef.current?.practice && !replay && (
+                        <div className="challenge-banner">
+                            {t('banner.practice', { name: t(`misconceptions.${currentQuestionRef.current.practice}.name`) })}
+                        </div>
+                    )}
+                    {puzzleSet && currentQuestionRef.current?.setEntry && !replay && (
+                        <div className="challenge-banner">
+                            {t('banner.set', { name: puzzleSet.name, entry: currentQuestionRef.current.setEntry, total: puzzleSet.puzzles.length })}
+                        </div>
+                    )}
+
                     {/* Status Row (Moved from Left Panel) */}
                     {/* Status Row (Moved from Left Panel) */}
-                    <div className="status-row">
+                    {!replay && <div className="status-row">
                         <div className="status-item">
-                            <span className="status-label">LEVEL</span>
-                            <span className="status-value">{currentLevel}</span>
+                            <span className="status-label">{t('status.mode')}</span>
+                            <span className="status-value mode-label">
+                                {mode.icon} {modeText(mode, 'name')}{sprintRef.current ? ` · ${t.number(sprintRef.current.solved)}` : ''}
+                            </span>
                         </div>
                         <div className="status-item">
-                            <span className="status-label">SCORE</span>
-                            <span className="status-value">{score}</span>
+                            <span className="status-label">{t('status.level')}</span>
+                            <span className="status-value">{t.number(currentLevel)}</span>
                         </div>
-                    </div>
+                        <div className="status-item">
+                            <span className="status-label">{t('status.score')}</span>
+                            <span className="status-value">
+                                {t.number(score)}
+                                {streak > 1 && <span className="streak-badge" title={t('status.bestStreak', { count: bestStreak })}>🔥{t.number(streak)}</span>}
+                            </span>
+                        </div>
+                        <div className="status-item">
+                            <span className="status-label">{t('status.difficulty')}</span>
+                            <span className="status-value difficulty-label">
+                                {difficultyText(currentQuestionRef.current?.difficulty) ?? '--'}
+                            </span>
+                        </div>
+                        <div className="status-item">
+                            <span className="status-label">{t('status.puzzle')}</span>
+                            <span className="status-value puzzle-code" title={currentQuestionRef.current ? puzzleCode(currentQuestionRef.current) : undefined}>
+                                {currentQuestionRef.current ? puzzleCode(currentQuestionRef.current) : '--'}
+                            </span>
+                        </div>
+                    </div>}
+
+                    {replay && (
+                        <section className="replay-bar" aria-label={t('replay.label')}>
+                            <div className="replay-header">
+                                <label className="replay-round">
+                                    {t('replay.round')}
+                                    <select value={replay.round} onChange={(e) => showReplayRound(replay.log, Number(e.target.value), { speed: replay.speed, returnTo: replay.returnTo })}>
+                                        {replay.log.rounds.map((round, i) => (
+                                            <option key={i} value={i}>
+                                                {t('replay.roundOption', { index: i + 1, target: t.number(round.puzzle.target) })}
+                                            </option>
+                                        ))}
+                                    </select>
+                                </label>
+                                <button type="button" className="race-leave" onClick={closeReplay}>{t('replay.exit')}</button>
+                            </div>
+                            <p className="replay-caption">{replayCaption(replay.frame)}</p>
+                            <div className="replay-controls">
+                                <button type="button" onClick={() => seekReplay(replay.frame - 1)} disabled={replay.frame === 0} aria-label={t('replay.back')}>⏪</button>
+                                <button type="button" onClick={toggleReplay} aria-label={replay.playing ? t('replay.pause') : t('replay.play')}>
+                                    {replay.playing ? '⏸️' : '▶️'}
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={() => seekReplay(replay.frame + 1)}
+                                    disabled={replay.frame >= replay.frames.length - 1}
+                                    aria-label={t('replay.forward')}
+                                >
+                                    ⏩
+                                </button>
+                                <input
+                                    type="range"
+                                    min="0"
+                                    max={replay.frames.length - 1}
+                                    value={replay.frame}
+                                    onChange={(e) => seekReplay(Number(e.target.value))}
+                                    aria-label={t('replay.position')}
+                                    aria-valuetext={t('replay.step', { index: replay.frame, total: replay.frames.length - 1 })}
+                                />
+                                <select
+                                    value={replay.speed}
+                                    onChange={(e) => setReplay({ ...replay, speed: Number(e.target.value) })}
+                                    aria-label={t('replay.speed')}
+                                >
+                                    {REPLAY_SPEEDS.map(speed => (
+                                        <option key={speed} value={speed}>{t('replay.speedOption', { speed })}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        </section>
+                    )}
+
+                    {race && race.round > 0 && !replay && (
+                        <section className="race-board" aria-label={t('race.boardLabel', { room: race.room, round: race.round })}>
+                            <div className="race-board-header">
+                                <span>{t('race.board', { room: race.room, round: race.round })}</span>
+                                <button type="button" className="race-leave" onClick={quitRace}>{t('race.leave')}</button>
+                            </div>
+                            {renderStandings()}
+                            {!raceHost(race) && <p className="race-note">{t('race.hostLeft')}</p>}
+                        </section>
+                    )}
 
                     {/* Available Pieces */}
                     <div className="section">
-                        <div className="section-label">📦 Available pieces (click to use)</div>
-                        <div id="pieces" aria-live="polite">
-                            {availableTokens.map((t, i) => (
-                                <div
-                                    key={t.id}
-                                    className={`token ${t.used ? 'used' : ''}`}
-                                    onClick={() => !t.used && addToEquation(i)}
+                        <div className="section-label">{t('pieces.title')}</div>
+                        <div
+                            id="pieces"
+                            role="group"
+                            aria-label={t('pieces.label')}
+                            data-drop-zone="pieces"
+                            className={dropZone === 'pieces' && drag.source === 'equation' ? 'drop-active' : ''}
+                        >
+                            {boardPieces.map((piece, i) => (
+                                <button
+                                    type="button"
+                                    key={piece.id}
+                                    className={`token ${piece.used ? 'used' : ''} ${drag?.source === 'pieces' && drag.index === i ? 'dragging' : ''}`}
+                                    disabled={piece.used || !!replay}
+                                    aria-label={piece.used ? t('pieces.used', { piece: t.speakToken(piece.token) }) : t.speakToken(piece.token)}
+                                    onPointerDown={piece.used ? undefined : startHandler('pieces', i, piece.token)}
+                                    onClick={() => !consumeClick() && !piece.used && addToEquation(i)}
                                 >
-                                    {t.token}
-                                </div>
+                                    {t.token(piece.token)}
+                                </button>
                             ))}
                         </div>
                     </div>
 
                     {/* Equation Building Area */}
                     <div className="section">
-                        <div className="section-label">🔧 Build your equation here (use all pieces)</div>
-                        <div id="equation" aria-live="polite">
-                            {equationTokens.map((t, i) => (
-                                <div
-                                    key={`${t.id}-${i}`}
-                                    className="token"
-                                    onClick={() => removeFromEquation(i)}
-                                >
-                                    {t.token}
-                                </div>
+                        <div className="section-label equation-label">
+                            <span>{t('equation.title', { rule: modeText(mode, 'rule') })}</span>
+                            {gameStarted && !replay && (
+                                <span className="history-buttons">
+                                    <button
+                                        className="history-btn"
+                                        onClick={undo}
+                                        disabled={!canUndo(historyRef.current)}
+                                        aria-label={t('equation.undo')}
+                                        aria-keyshortcuts="Control+Z"
+                                        title={t('equation.undoTitle')}
+                                    >
+                                        ↶
+                                    </button>
+                                    <button
+                                        className="history-btn"
+                                        onClick={redo}
+                                        disabled={!canRedo(historyRef.current)}
+                                        aria-label={t('equation.redo')}
+                                        aria-keyshortcuts="Control+Shift+Z"
+                                        title={t('equation.redoTitle')}
+                                    >
+                                        ↷
+                                    </button>
+                                </span>
+                            )}
+                        </div>
+                        <div
+                            id="equation"
+                            role="group"
+                            aria-label={t('equation.label')}
+                            data-drop-zone="equation"
+                            className={dropZone === 'equation' ? 'drop-active' : ''}
+                            onClick={placeCaret}
+                        >
+                            {boardEquation.map((piece, i) => (
+                                <React.Fragment key={piece.id}>
+                                    {showMarker && markerAt === i && marker}
+                                    <button
+                                        type="button"
+                                        data-eq-index={i}
+                                        className={`token ${i === errorIndex && !replay ? 'error' : ''} ${unmatchedParens.includes(i) ? 'unmatched' : ''} ${drag?.source === 'equation' && drag.index === i ? 'dragging' : ''}`}
+                                        aria-label={t('equation.piece', { piece: t.speakToken(piece.token), position: i + 1 })}
+                                        disabled={!!replay}
+                                        onPointerDown={startHandler('equation', i, piece.token)}
+                                        onClick={() => !consumeClick() && removeFromEquation(i)}
+                                    >
+                                        {t.token(piece.token)}
+                                    </button>
+                                </React.Fragment>
                             ))}
-                            {equationTokens.length === 0 && (
-                                <div className="empty-placeholder">Build your equation here</div>
+                            {showMarker && markerAt === equationTokens.length && marker}
+                            {boardEquation.length === 0 && (
+                                <div className="empty-placeholder">{t('equation.placeholder')}</div>
                             )}
                         </div>
+                        {/* Live Preview */}
+                        {boardEquation.length > 0 && (
+                            <div className="live-preview">
+                                {preview ? (
+                                    <span>
+                                        {t('equation.soFar')}{' '}
+                                        <code>{t.tokens(previewTokens.slice(0, preview.length))}{' )'.repeat(preview.autoClosed)}</code>
+                                        {' = '}<strong>{t.number(formatRational(preview.value))}</strong>
+                                    </span>
+                                ) : (
+                                    <span>{t('equation.keepBuilding')}</span>
+                                )}
+                                {unmatchedParens.length > 0 && (
+                                    <span className="paren-warning">
+                                        {t('equation.unmatched', { count: unmatchedParens.length })}
+                                    </span>
+                                )}
+                            </div>
+                        )}
+
                         {/* Check Solution Button - Always reserve space, show button when all tokens used */}
                         <div className="check-solution-wrapper">
-                            {allTokensUsed && !solutionVisible && (
-                                <button className="complete-btn" onClick={checkEquation}>
-                                    ✅ Check Solution
+                            {replayFrame?.check && (
+                                <div className={`replay-check ${replayFrame.check.correct ? 'correct' : ''}`}>
+                                    {replayFrame.check.correct ? '✅' : '❌'}
+                                    {replayFrame.check.value !== null && <> = {renderNumber(replayFrame.check.value)}</>}
+                                </div>
+                            )}
+                            {canCheck && !solutionVisible && !replay && (
+                                <button className="complete-btn" onClick={checkEquation} aria-keyshortcuts="Enter">
+                                    {t('equation.check')}
                                 </button>
                             )}
                         </div>
+
+                        {/* Attempts checked this round */}
+                        {attempts.length > 0 && !replay && (
+                            <details className="attempt-log">
+                                <summary>{t('equation.tried', { count: attempts.length })}</summary>
+                                <ol>
+                                    {attempts.map((attempt, i) => (
+                                        <li key={i} className={attempt.correct ? 'correct' : undefined}>
+                                            <code>{t.tokens(attempt.tokens)}</code>
+                                            {attempt.value !== null ? <> = {renderNumber(attempt.value)}</> : <span className="attempt-error"> — {attempt.message}</span>}
+                                        </li>
+                                    ))}
+                                </ol>
+                            </details>
+                        )}
                     </div>
 
                     {/* Solution Area */}
-                    {solutionVisible && (
+                    {solutionVisible && !replay && (
                         <div className="solution">
-                            ✨ Solution: {originalExpr} = {targetValue}
+                            {solutions.length > 1 ? solutionHeading() : t('solution.title')}{' '}
+                            <bdi dir="ltr">{t.tokens(solutions[solutionIndex] || originalTokens)} = {renderNumber(targetValue)}</bdi>
                         </div>
                     )}
 
                     {/* Hint Display */}
-                    {hint && !solutionVisible && (
+                    {hint && !solutionVisible && !replay && (
                         <div className="hint-message">
                             💡 {hint}
                         </div>
@@ -489,19 +1874,29 @@ const SuperStudent = () => {
                     {/* Right Panel - Controls (Moved Inside Game Card for Absolute Positioning) */}
                     <aside className="right-panel">
                         <div className="action-buttons-stack">
-                            {gameStarted && (
+                            {gameStarted && !replay && (
                                 <>
-                                    <button className="action-btn primary" onClick={() => newRound()}>
-                                        + New Round
+                                    <button className="action-btn primary" onClick={() => newRound()} aria-keyshortcuts="N">
+                                        {t('actions.newRound')}
                                     </button>
-                                    <button className="action-btn" onClick={showHintShort}>
-                                        💡 Hint
+                                    <button className="action-btn" onClick={showHint} disabled={!nextHint} aria-keyshortcuts="H">
+                                        {!nextHint ? t('actions.hint')
+                                            : nextHint.reveal ? t('actions.hintReveal') : t('actions.hintCost', { cost: nextHint.cost })}
                                     </button>
-                                    <button className="action-btn" onClick={resetEquation}>
-                                        🔄 Reset
+                                    <button className="action-btn" onClick={resetEquation} aria-keyshortcuts="R">
+                                        {t('actions.reset')}
                                     </button>
                                     <button className="action-btn" onClick={revealSolution}>
-                                        ✅ Solution
+                                        {solutionVisible && solutions.length > 1 ? t('actions.anotherSolution') : t('actions.solution')}
+                                    </button>
+                                    <button className="action-btn" onClick={pauseGame} aria-keyshortcuts="P">
+                                        {t('actions.pause')}
+                                    </button>
+                                    <button className="action-btn" onClick={sharePuzzle}>
+                                        {t('actions.share')}
+                                    </button>
+                                    <button className="action-btn" onClick={changeMode}>
+                                        {t('actions.mode')}
                                     </button>
                                 </>
                             )}
@@ -513,40 +1908,81 @@ const SuperStudent = () => {
             {/* Welcome Popup */}
             {activePopup === 'welcome' && (
                 <div className="popup-overlay welcome-popup">
-                    <div className="popup-content" role="dialog" aria-modal="true">
-                        <button className="popup-close-btn" onClick={logGameEnd} aria-label="Close">×</button>
+                    <div className="popup-content" role="dialog" aria-modal="true" aria-labelledby="popup-title" ref={popupRef}>
+                        <button className="popup-close-btn" onClick={logGameEnd} aria-label={t('common.close')}>×</button>
                         <div className="popup-header">
-                            <div className="popup-icon">🧮</div>
-                            <h2 className="popup-title">Equation Builder</h2>
+                            <div className="popup-icon" aria-hidden="true">🧮</div>
+                            <h2 className="popup-title" id="popup-title">{t('welcome.title')}</h2>
                         </div>
                         <div className="popup-message">
-                            <p className="welcome-intro">Welcome to the Equation Builder! 🎯</p>
+                            <p className="welcome-intro">{t('welcome.intro')}</p>
 
                             <div className="how-to-play">
-                                <p><strong>📝 How to Play:</strong></p>
+                                <p><strong>{t('welcome.howTo')}</strong></p>
                                 <ul>
-                                    <li>You'll see a <strong>target number</strong> to reach</li>
-                                    <li><strong>Click pieces</strong> (numbers &amp; operators) to build an equation</li>
-                                    <li>Use <strong>ALL pieces exactly once</strong></li>
-                                    <li>Your equation must equal the target number</li>
-                                    <li>Click <strong>Complete</strong> when done to check your answer</li>
+                                    {['rule1', 'rule2', 'rule3', 'rule4', 'rule5', 'rule6'].map(key => (
+                                        <li key={key}>{rich(t(`welcome.${key}`))}</li>
+                                    ))}
                                 </ul>
                             </div>
 
                             <div className="tips-box">
-                                <p><strong>💡 Tips:</strong></p>
+                                <p><strong>{t('welcome.tips')}</strong></p>
                                 <ul>
-                                    <li>Parentheses ( ) mean "do this first"</li>
-                                    <li>Use the <strong>Hint</strong> button if you're stuck</li>
-                                    <li>Timer runs - but take your time to think!</li>
+                                    {['tip1', 'tip2', 'tip3', 'keyboard'].map(key => (
+                                        <li key={key}>{rich(t(`welcome.${key}`))}</li>
+                                    ))}
                                 </ul>
                             </div>
 
-                            <p className="ready-text">Ready to solve some puzzles? Let's go! 🚀</p>
+                            <fieldset className="mode-picker">
+                                <legend><strong>{t('welcome.chooseMode')}</strong></legend>
+                                {PICKABLE_MODES.map(m => (
+                                    <label key={m.id} className={`mode-option ${m.id === modeId ? 'selected' : ''}`}>
+                                        <input
+                                            type="radio"
+                                            name="mode"
+                                            value={m.id}
+                                            checked={m.id === modeId}
+                                            onChange={() => setModeId(m.id)}
+                                        />
+                                        <span className="mode-icon" aria-hidden="true">{m.icon}</span>
+                                        <span className="mode-name">{modeText(m, 'name')}</span>
+                                        <span className="mode-description">{modeText(m, 'description')}</span>
+                                    </label>
+                                ))}
+                            </fieldset>
+
+                            <p className="ready-text">{t('welcome.ready')}</p>
                         </div>
                         <div className="popup-buttons">
-                            <button className="popup-btn primary" onClick={startGame}>Start Game 🎮</button>
+                            <button className="popup-btn primary" onClick={() => startGame()}>{t('welcome.start')}</button>
+                            <button className="popup-btn" onClick={() => playChallenge(getDailyChallenge())}>{t('welcome.daily')}</button>
+                            <button className="popup-btn" onClick={openRaceLobby}>{t('welcome.race')}</button>
+                            <label className="popup-btn set-import">
+                                {t('welcome.loadSet')}
+                                <input type="file" accept=".json,.csv,application/json,text/csv" onChange={importPuzzleSet} />
+                            </label>
+                            <label className="popup-btn set-import">
+                                {t('replay.open')}
+                                <input type="file" accept=".json,application/json" onChange={openReplayFile} />
+                            </label>
                         </div>
+                        {replayError && (
+                            <div className="set-errors" role="alert">
+                                <p><strong>{t(`replay.errors.${replayError}`)}</strong></p>
+                            </div>
+                        )}
+                        {setErrors.length > 0 && (
+                            <div className="set-errors" role="alert">
+                                <p><strong>{t('welcome.setErrors')}</strong></p>
+                                <ul>
+                                    {setErrors.map((error, i) => (
+                                        <li key={i}>{setErrorText(error)}</li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
                     </div>
                 </div>
             )}
@@ -554,12 +1990,28 @@ const SuperStudent = () => {
             {/* Time Up Popup */}
             {activePopup === 'timeUp' && (
                 <div className="popup-overlay">
-                    <div className="popup-content popup-secondary">
-                        <div className="popup-icon">⏰</div>
-                        <h2 className="popup-title">Time's Up!</h2>
-                        <p className="popup-message">The timer has completed. Would you like to try again?</p>
+                    <div
+                        className="popup-content popup-secondary"
+                        role="dialog"
+                        aria-modal="true"
+                        aria-labelledby="popup-title"
+                        aria-describedby="popup-message"
+                        ref={popupRef}
+                    >
+                        <div className="popup-icon" aria-hidden="true">⏰</div>
+                        <h2 className="popup-title" id="popup-title">{t('timeUp.title')}</h2>
+                        {roundScore ? (
+                            <p className="popup-message" id="popup-message">
+                                {t('timeUp.closest', { distance: roundScore.distance, points: t('common.points', { count: roundScore.total }) })}
+                            </p>
+                        ) : (
+                            <p className="popup-message" id="popup-message">{t('timeUp.message')}</p>
+                        )}
                         <div className="popup-buttons">
-                            <button className="popup-btn primary" onClick={replayCurrentQuestion}>🔄 Replay</button>
+                            {roundScore && (
+                                <button className="popup-btn primary" onClick={() => newRound()}>{t('correct.nextPuzzle')}</button>
+                            )}
+                            <button className={`popup-btn ${roundScore ? '' : 'primary'}`} onClick={replayCurrentQuestion}>{t('timeUp.replay')}</button>
                         </div>
                     </div>
                 </div>
@@ -568,12 +2020,91 @@ const SuperStudent = () => {
             {/* Correct Answer Popup */}
             {activePopup === 'correct' && (
                 <div className="popup-overlay">
-                    <div className="popup-content popup-secondary">
-                        <div className="popup-icon">🎉</div>
-                        <h2 className="popup-title">Successfully Completed!</h2>
-                        <p className="popup-message">Excellent work! Ready for the next challenge?</p>
+                    <div
+                        className="popup-content popup-secondary"
+                        role="dialog"
+                        aria-modal="true"
+                        aria-labelledby="popup-title"
+                        aria-describedby="popup-message"
+                        ref={popupRef}
+                    >
+                        <div className="popup-icon" aria-hidden="true">🎉</div>
+                        <h2 className="popup-title" id="popup-title">
+                            {roundScore.solved ? t('correct.title') : t('correct.keptTitle')}
+                        </h2>
+                        <p className="popup-message" id="popup-message">
+                            {roundScore.solved ? t('correct.excellent') : t('check.away', { distance: roundScore.distance })}
+                            {' '}{t('correct.points', { points: t('common.points', { count: roundScore.total }) })}
+                        </p>
+                        <dl className="score-breakdown">
+                            <div>
+                                <dt>
+                                    {t(roundScore.distance ? 'score.away' : 'score.puzzle', {
+                                        distance: roundScore.distance,
+                                        difficulty: difficultyText(currentQuestionRef.current?.difficulty) ?? t('score.base')
+                                    })}
+                                </dt>
+                                <dd>+{t.number(roundScore.base)}</dd>
+                            </div>
+                            {roundScore.timeBonus > 0 && (
+                                <div>
+                                    <dt>{t('score.timeBonus')}</dt>
+                                    <dd>+{t.number(roundScore.timeBonus)}</dd>
+                                </div>
+                            )}
+                            {roundScore.streakMultiplier > 1 && (
+                                <div>
+                                    <dt>{t('score.streak', { count: roundScore.streak })}</dt>
+                                    <dd>×{t.number(roundScore.streakMultiplier)}</dd>
+                                </div>
+                            )}
+                            {roundScore.hintPenalty > 0 && (
+                                <div className="penalty">
+                                    <dt>{t('score.hints', { count: hintStep })}</dt>
+                                    <dd>−{t.number(roundScore.hintPenalty)}</dd>
+                                </div>
+                            )}
+                            {roundScore.wrongCheckPenalty > 0 && (
+                                <div className="penalty">
+                                    <dt>{t('score.wrongChecks')}</dt>
+                                    <dd>−{t.number(roundScore.wrongCheckPenalty)}</dd>
+                                </div>
+                            )}
+                            {roundScore.revealed && (
+                                <div className="penalty">
+                                    <dt>{t('score.revealed')}</dt>
+                                    <dd>{t('score.noPoints')}</dd>
+                                </div>
+                            )}
+                            <div className="total">
+                                <dt>{t('score.total')}</dt>
+                                <dd>+{t.number(roundScore.total)}</dd>
+                            </div>
+                        </dl>
+                        {roundScore.stars !== null && (
+                            <p className="stars-earned" role="img" aria-label={t('correct.stars', { count: roundScore.stars, max: MAX_STARS })}>
+                                {starString(roundScore.stars)}
+                            </p>
+                        )}
+                        {roundScore.solved && mode.levelsUp && !challenge && !puzzleSet && currentLevel >= maxLevel && tiersUnlockedAt(currentLevel + 1).map(tier => (
+                            <p key={tier.id} className="tier-unlock">{rich(t('correct.unlocks', { tier: t(`tiers.${tier.id}`) }))}</p>
+                        ))}
+                        {race && renderStandings()}
                         <div className="popup-buttons">
-                            <button className="popup-btn primary" onClick={nextLevel}>➡️ Next Level</button>
+                            {race ? (
+                                <>
+                                    {isHost(race)
+                                        ? <button className="popup-btn primary" onClick={dealRaceRound}>{t('correct.nextRound')}</button>
+                                        : <p className="race-note">{t('correct.waiting')}</p>}
+                                    <button className="popup-btn" onClick={quitRace}>{t('correct.leaveRace')}</button>
+                                </>
+                            ) : challenge ? (
+                                <button className="popup-btn primary" onClick={() => newRound()}>{t('correct.keepPlaying')}</button>
+                            ) : roundScore.solved && mode.levelsUp && !puzzleSet ? (
+                                <button className="popup-btn primary" onClick={nextLevel}>{t('correct.nextLevel')}</button>
+                            ) : (
+                                <button className="popup-btn primary" onClick={() => newRound()}>{t('correct.nextPuzzle')}</button>
+                            )}
                         </div>
                     </div>
                 </div>
@@ -582,28 +2113,88 @@ const SuperStudent = () => {
             {/* Wrong Answer Popup */}
             {activePopup === 'wrongAnswer' && (
                 <div className="popup-overlay">
-                    <div className="popup-content popup-secondary" role="dialog" aria-modal="true">
-                        <div className="popup-icon">🔄</div>
-                        <h2 className="popup-title">Try Again!</h2>
+                    <div
+                        className="popup-content popup-secondary"
+                        role="dialog"
+                        aria-modal="true"
+                        aria-labelledby="popup-title"
+                        ref={popupRef}
+                    >
+                        <div className="popup-icon" aria-hidden="true">🔄</div>
+                        <h2 className="popup-title" id="popup-title">{t('wrong.title')}</h2>
 
                         {/* Expression display */}
                         <div className="expression-box">
-                            <span className="expression-label">Your equation</span>
-                            <code className="expression-code">{wrongAnswerData.expr || '—'}</code>
+                            <span className="expression-label">{t('equation.label')}</span>
+                            <code className="expression-code">
+                                {wrongAnswerData.tokens.length ? wrongAnswerData.tokens.map((tok, i) => (
+                                    <span key={i} className={i === wrongAnswerData.errorIndex ? 'bad-token' : undefined}>
+                                        {t.token(tok)}
+                                    </span>
+                                )) : '—'}
+                            </code>
                         </div>
 
                         {/* Result comparison */}
                         <div className="result-comparison">
                             <div className="result-card result-wrong">
-                                <span className="result-label">You got</span>
-                                <span className="result-value">{wrongAnswerData.result ?? 'N/A'}</span>
+                                <span className="result-label">{t('wrong.youGot')}</span>
+                                <span className="result-value">{wrongAnswerData.result ? renderNumber(wrongAnswerData.result) : t('wrong.none')}</span>
                             </div>
                             <div className="result-card result-target">
-                                <span className="result-label">Target</span>
-                                <span className="result-value">{targetValue}</span>
+                                <span className="result-label">{t('wrong.target')}</span>
+                                <span className="result-value">{renderNumber(targetValue)}</span>
                             </div>
                         </div>
 
+                        {/* Order of operations, one reduction at a time */}
+                        {wrongAnswerData.steps.length > 0 && (() => {
+                            const step = wrongAnswerData.steps[explainStep];
+                            return (
+                                <div className="steps-box">
+                                    <span className="expression-label">
+                                        {t('wrong.step', { index: explainStep + 1, total: wrongAnswerData.steps.length })}
+                                    </span>
+                                    <code className="expression-code">
+                                        {step.segments.map((seg, i) => (
+                                            <span key={i} className={seg.mark ? 'step-mark' : undefined}>
+                                                {i > 0 ? ' ' : ''}{t.display(seg.text)}
+                                            </span>
+                                        ))}
+                                    </code>
+                                    <div className="step-operation">
+                                        {t.display(step.operation)} = <strong>{step.result == null ? t('wrong.undefined') : t.number(step.result)}</strong>
+                                    </div>
+                                    <div className="step-nav">
+                                        <button
+                                            className="step-btn"
+                                            onClick={() => setExplainStep(explainStep - 1)}
+                                            disabled={explainStep === 0}
+                                        >
+                                            {t('wrong.back')}
+                                        </button>
+                                        <button
+                                            className="step-btn"
+                                            onClick={() => setExplainStep(explainStep + 1)}
+                                            disabled={explainStep === wrongAnswerData.steps.length - 1}
+                                        >
+                                            {t('wrong.next')}
+                                        </button>
+                                    </div>
+                                </div>
+                            );
+                        })()}
+
+                        {wrongAnswerData.repeated && (
+                            <p className="repeat-note">{t('wrong.repeated')}</p>
+                        )}
+
+                        {wrongAnswerData.misconception && (
+                            <p className="misconception-tag">
+                                {rich(t('wrong.misconception', { name: t(`misconceptions.${wrongAnswerData.misconception}.name`) }))}
+                            </p>
+                        )}
+
                         {/* Hint box */}
                         <div className="hint-box">
                             <span className="hint-icon">💡</span>
@@ -611,12 +2202,332 @@ const SuperStudent = () => {
                         </div>
 
                         <div className="popup-buttons">
-                            <button className="popup-btn primary" onClick={() => setActivePopup(null)}>Try Again</button>
+                            <button className="popup-btn primary" onClick={() => setActivePopup(null)}>{t('wrong.tryAgain')}</button>
+                            {wrongAnswerData.closest && (
+                                <button className="popup-btn" onClick={keepClosest}>
+                                    {t('wrong.keep', {
+                                        value: t.number(formatRational(wrongAnswerData.closest.value)),
+                                        points: scoreAttempt(wrongAnswerData.closest).total
+                                    })}
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                </div>
+            )}
+            {/* Sprint Results Popup */}
+            {activePopup === 'sprintOver' && sprintResult && (
+                <div className="popup-overlay">
+                    <div
+                        className="popup-content popup-secondary"
+                        role="dialog"
+                        aria-modal="true"
+                        aria-labelledby="popup-title"
+                        aria-describedby="popup-message"
+                        ref={popupRef}
+                    >
+                        <div className="popup-icon" aria-hidden="true">🏁</div>
+                        <h2 className="popup-title" id="popup-title">{t('sprint.title')}</h2>
+                        <p className="popup-message" id="popup-message">
+                            {t('sprint.summary', { count: sprintResult.solved, points: t('common.points', { count: sprintResult.points }) })}
+                        </p>
+                        <dl className="score-breakdown">
+                            <div>
+                                <dt>{t('sprint.solved')}</dt>
+                                <dd>{t.number(sprintResult.solved)}</dd>
+                            </div>
+                            <div>
+                                <dt>{t('sprint.skipped')}</dt>
+                                <dd>{t.number(sprintResult.skipped)}</dd>
+                            </div>
+                            <div>
+                                <dt>{t('sprint.bestRun')}</dt>
+                                <dd>{t('sprint.bestRunValue', { count: sprintResult.records.bestSolved })}</dd>
+                            </div>
+                            <div className="total">
+                                <dt>{t('sprint.points')}</dt>
+                                <dd>+{t.number(sprintResult.points)}</dd>
+                            </div>
+                        </dl>
+                        <div className="popup-buttons">
+                            <button className="popup-btn primary" onClick={() => startGame()}>{t('sprint.again')}</button>
+                            <button className="popup-btn" onClick={changeMode}>{t('sprint.changeMode')}</button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Level Map Popup */}
+            {activePopup === 'levels' && (
+                <div className="popup-overlay">
+                    <div
+                        className="popup-content popup-secondary level-map"
+                        role="dialog"
+                        aria-modal="true"
+                        aria-labelledby="popup-title"
+                        aria-describedby="popup-message"
+                        ref={popupRef}
+                    >
+                        <button className="popup-close-btn" onClick={returnFromOverlay} aria-label={t('common.close')}>×</button>
+                        <div className="popup-icon" aria-hidden="true">🗺️</div>
+                        <h2 className="popup-title" id="popup-title">{t('levels.title')}</h2>
+                        <p className="popup-message" id="popup-message">
+                            {t('levels.summary', { stars: totalStars(levelResultsRef.current), total: maxLevel * MAX_STARS })}
+                        </p>
+                        <ol className="level-grid">
+                            {Array.from({ length: maxLevel + LOCKED_PREVIEW }, (_, i) => i + 1).map(level => {
+                                const stars = levelResultsRef.current[level]?.stars || 0;
+                                const locked = level > maxLevel;
+                                const tiers = tiersUnlockedAt(level);
+                                return (
+                                    <li key={level}>
+                                        <button
+                                            className={`level-tile ${level === currentLevel ? 'current' : ''}`}
+                                            onClick={() => playLevel(level)}
+                                            disabled={locked}
+                                            aria-label={locked
+                                                ? t('levels.locked', { level })
+                                                : t(level === currentLevel ? 'levels.tileCurrent' : 'levels.tile', { level, stars, max: MAX_STARS })}
+                                            title={tiers.length ? t('levels.new', { tiers: tiers.map(tier => t(`tiers.${tier.id}`)).join(', ') }) : undefined}
+                                        >
+                                            <span className="level-number">{locked ? '🔒' : t.number(level)}</span>
+                                            {!locked && <span className="level-stars" aria-hidden="true">{starString(stars)}</span>}
+                                            {tiers.length > 0 && <span className="level-new" aria-hidden="true">🔓</span>}
+                                        </button>
+                                    </li>
+                                );
+                            })}
+                        </ol>
+                    </div>
+                </div>
+            )}
+
+            {/* Badge Gallery Popup */}
+            {activePopup === 'badges' && (
+                <div className="popup-overlay">
+                    <div
+                        className="popup-content popup-secondary badge-gallery"
+                        role="dialog"
+                        aria-modal="true"
+                        aria-labelledby="popup-title"
+                        aria-describedby="popup-message"
+                        ref={popupRef}
+                    >
+                        <button className="popup-close-btn" onClick={returnFromOverlay} aria-label={t('common.close')}>×</button>
+                        <div className="popup-icon" aria-hidden="true">🏅</div>
+                        <h2 className="popup-title" id="popup-title">{t('badges.title')}</h2>
+                        <p className="popup-message" id="popup-message">
+                            {t('badges.summary', { unlocked: Object.keys(achievementsRef.current.unlocked).length, total: ACHIEVEMENTS.length })}
+                        </p>
+                        <ul className="badge-grid">
+                            {ACHIEVEMENTS.map(badge => {
+                                const unlocked = !!achievementsRef.current.unlocked[badge.id];
+                                const progress = unlocked ? null : achievementProgress(badge, achievementsRef.current);
+                                const goal = achievementGoal(badge);
+                                return (
+                                    <li key={badge.id} className={`badge ${unlocked ? 'unlocked' : 'locked'}`}>
+                                        <span className="badge-icon" aria-hidden="true">{badge.icon}</span>
+                                        <span className="badge-name">{t(`achievements.${badge.id}.name`)}</span>
+                                        <span className="badge-description">{t(`achievements.${badge.id}.description`, { goal, count: goal })}</span>
+                                        <span className="badge-status">
+                                            {unlocked ? t('badges.earned')
+                                                : progress ? t('badges.progress', progress) : t('badges.locked')}
+                                        </span>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    </div>
+                </div>
+            )}
+
+            {/* Pause Popup */}
+            {activePopup === 'paused' && (
+                <div className="popup-overlay">
+                    <div
+                        className="popup-content popup-secondary"
+                        role="dialog"
+                        aria-modal="true"
+                        aria-labelledby="popup-title"
+                        aria-describedby="popup-message"
+                        ref={popupRef}
+                    >
+                        <div className="popup-icon" aria-hidden="true">⏸️</div>
+                        <h2 className="popup-title" id="popup-title">{t('paused.title')}</h2>
+                        <p className="popup-message" id="popup-message">
+                            {mode.clock === 'none' ? t('paused.break') : t('paused.clock', { count: timeLeft })}
+                        </p>
+                        <div className="popup-buttons">
+                            <button className="popup-btn primary" onClick={resumeGame}>{t('paused.resume')}</button>
+                            <button className="popup-btn" onClick={() => watchReplay(sessionLogRef.current, 'paused')}>{t('replay.watchSession')}</button>
+                            <button className="popup-btn" onClick={downloadSessionLog}>{t('replay.save')}</button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Puzzle Set Complete Popup */}
+            {activePopup === 'setComplete' && puzzleSet && (
+                <div className="popup-overlay">
+                    <div
+                        className="popup-content popup-secondary"
+                        role="dialog"
+                        aria-modal="true"
+                        aria-labelledby="popup-title"
+                        aria-describedby="popup-message"
+                        ref={popupRef}
+                    >
+                        <div className="popup-icon" aria-hidden="true">📚</div>
+                        <h2 className="popup-title" id="popup-title">{t('set.title')}</h2>
+                        <p className="popup-message" id="popup-message">
+                            {t('set.summary', {
+                                correct: puzzleSetRef.current.results.filter(result => result?.correct).length,
+                                total: puzzleSet.puzzles.length,
+                                name: puzzleSet.name
+                            })}
+                        </p>
+                        <label className="student-name">
+                            {t('common.yourName')}
+                            <input type="text" value={studentName} onChange={(e) => setStudentName(e.target.value)} />
+                        </label>
+                        <div className="popup-buttons">
+                            <button className="popup-btn primary" onClick={downloadSetResults}>{t('set.download')}</button>
+                            <button className="popup-btn" onClick={downloadSessionLog}>{t('replay.save')}</button>
+                            <button className="popup-btn" onClick={leavePuzzleSet}>{t('set.keepPlaying')}</button>
                         </div>
                     </div>
                 </div>
             )}
-        </>
+
+            {/* Race Lobby Popup */}
+            {activePopup === 'raceLobby' && (
+                <div className="popup-overlay">
+                    <div
+                        className="popup-content popup-secondary race-popup"
+                        role="dialog"
+                        aria-modal="true"
+                        aria-labelledby="popup-title"
+                        aria-describedby="popup-message"
+                        ref={popupRef}
+                    >
+                        <button className="popup-close-btn" onClick={() => setActivePopup('welcome')} aria-label={t('common.close')}>×</button>
+                        <div className="popup-icon" aria-hidden="true">🏁</div>
+                        <h2 className="popup-title" id="popup-title">{t('race.title')}</h2>
+                        <p className="popup-message" id="popup-message">
+                            {t('race.intro')}
+                        </p>
+                        <label className="student-name">
+                            {t('common.yourName')}
+                            <input type="text" value={studentName} onChange={(e) => setStudentName(e.target.value)} />
+                        </label>
+                        <div className="popup-buttons">
+                            <button className="popup-btn primary" onClick={createRaceRoom}>{t('race.open')}</button>
+                        </div>
+                        <form className="race-join" onSubmit={(e) => { e.preventDefault(); joinRaceRoom(); }}>
+                            <label>
+                                {t('race.code')}
+                                <input
+                                    type="text"
+                                    value={roomCode}
+                                    onChange={(e) => setRoomCode(e.target.value)}
+                                    autoCapitalize="characters"
+                                    autoComplete="off"
+                                    maxLength={5}
+                                />
+                            </label>
+                            <button type="submit" className="popup-btn">{t('race.join')}</button>
+                        </form>
+                        {raceError && <p className="set-errors" role="alert">{raceError}</p>}
+                    </div>
+                </div>
+            )}
+
+            {/* Race Room Popup */}
+            {activePopup === 'raceRoom' && race && (
+                <div className="popup-overlay">
+                    <div
+                        className="popup-content popup-secondary race-popup"
+                        role="dialog"
+                        aria-modal="true"
+                        aria-labelledby="popup-title"
+                        aria-describedby="popup-message"
+                        ref={popupRef}
+                    >
+                        <div className="popup-icon" aria-hidden="true">🏁</div>
+                        <h2 className="popup-title" id="popup-title">{t('race.room')} <span className="room-code">{race.room}</span></h2>
+                        <p className="popup-message" id="popup-message">
+                            {isHost(race)
+                                ? t('race.hostIntro')
+                                : raceHost(race) ? t('race.guestIntro') : t('race.looking')}
+                        </p>
+                        {renderStandings()}
+                        <div className="popup-buttons">
+                            {isHost(race) && <button className="popup-btn primary" onClick={dealRaceRound}>{t('race.start')}</button>}
+                            <button className="popup-btn" onClick={quitRace}>{t('race.leave')}</button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Share Popup */}
+            {activePopup === 'share' && (
+                <div className="popup-overlay">
+                    <div
+                        className="popup-content popup-secondary share-popup"
+                        role="dialog"
+                        aria-modal="true"
+                        aria-labelledby="popup-title"
+                        aria-describedby="popup-message"
+                        ref={popupRef}
+                    >
+                        <button className="popup-close-btn" onClick={() => setActivePopup(null)} aria-label={t('common.close')}>×</button>
+                        <div className="popup-icon" aria-hidden="true">🔗</div>
+                        <h2 className="popup-title" id="popup-title">{t('share.title')}</h2>
+                        <p className="popup-message" id="popup-message">
+                            {t('share.message', { level: currentQuestionRef.current.level })}
+                        </p>
+                        <input
+                            className="share-url"
+                            type="text"
+                            value={shareUrl}
+                            readOnly
+                            aria-label={t('share.link')}
+                            onFocus={(e) => e.target.select()}
+                        />
+                        <div className="popup-buttons">
+                            <button className="popup-btn primary" onClick={copyShareUrl}>{t('share.copy')}</button>
+                            <button className="popup-btn" onClick={() => setActivePopup(null)}>{t('common.close')}</button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Badges unlocked just now; read out as they appear */}
+            <div className="badge-toasts" role="status" aria-live="polite">
+                {toasts.map(id => {
+                    const badge = ACHIEVEMENTS.find(b => b.id === id);
+                    return (
+                        <div key={id} className="badge-toast">
+                            <span className="badge-icon" aria-hidden="true">{badge.icon}</span>
+                            <span>
+                                <strong>{t('badges.unlocked')}</strong> {t(`achievements.${id}.name`)}
+                            </span>
+                        </div>
+                    );
+                })}
+            </div>
+
+            {/* Screen reader announcements */}
+            <div className="sr-only" role="status" aria-live="polite">{liveMessages.polite}</div>
+            <div className="sr-only" aria-live="assertive">{liveMessages.assertive}</div>
+
+            {/* Piece following the pointer while dragging */}
+            {drag && (
+                <div className="token drag-ghost" style={{ left: drag.x, top: drag.y }} aria-hidden="true">
+                    {t.token(drag.token)}
+                </div>
+            )}
+        </div>
     );
 };
 
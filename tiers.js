@@ -0,0 +1,19 @@
+// Content tiers: kinds of numbers and operators that unlock as students
+// level up, so the game keeps getting harder after the basic four
+// operations are mastered. Generation, solving and grading all ask
+// getContentForLevel what a level allows.
+
+export const TIERS = [
+    { id: 'twoDigit', name: 'Two-digit numbers', unlockLevel: 10 },
+    { id: 'negatives', name: 'Negative numbers', unlockLevel: 13 },
+    { id: 'powers', name: 'Powers (^)', unlockLevel: 16 },
+    { id: 'fractions', name: 'Fraction targets', unlockLevel: 19 }
+];
+
+export const getContentForLevel = (level) =>
+    Object.fromEntries(TIERS.map(tier => [tier.id, level >= tier.unlockLevel]));
+
+export const getTierUnlockLevel = (id) => TIERS.find(tier => tier.id === id).unlockLevel;
+
+// Tiers that open exactly at this level, for "new content" notices
+export const tiersUnlockedAt = (level) => TIERS.filter(tier => tier.unlockLevel === level);
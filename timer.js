@@ -0,0 +1,84 @@
+// Countdown clock measured against a wall-clock deadline, so throttled
+// background tabs and slow renders cannot stretch it. Pausing keeps the
+// time that was left; resuming sets a new deadline from it.
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// How often the display is refreshed; the deadline alone decides expiry
+const TICK_MS = 250;
+
+// Returns { timeLeft, start, stop, pause, resume, remainingMs }. `timeLeft`
+// is whole seconds for display. onExpire(tag) is called with the tag given
+// to start() when the clock runs out.
+export const useCountdown = (onExpire, initialSeconds = 60) => {
+    const [timeLeft, setTimeLeft] = useState(initialSeconds);
+    // { deadline, remaining, tag }: `deadline` while running, `remaining` (ms) while paused
+    const clockRef = useRef(null);
+    const intervalRef = useRef(null);
+    const onExpireRef = useRef(onExpire);
+    onExpireRef.current = onExpire;
+
+    const halt = () => {
+        clearInterval(intervalRef.current);
+        intervalRef.current = null;
+    };
+
+    const tick = useCallback(() => {
+        const clock = clockRef.current;
+        if (!clock || clock.deadline === null) return;
+        const ms = Math.max(0, clock.deadline - Date.now());
+        setTimeLeft(Math.ceil(ms / 1000));
+        if (ms === 0) {
+            halt();
+            clockRef.current = null;
+            onExpireRef.current(clock.tag);
+        }
+    }, []);
+
+    const run = useCallback(() => {
+        halt();
+        intervalRef.current = setInterval(tick, TICK_MS);
+    }, [tick]);
+
+    const start = useCallback((seconds, tag, { paused = false } = {}) => {
+        const ms = seconds * 1000;
+        clockRef.current = paused
+            ? { deadline: null, remaining: ms, tag }
+            : { deadline: Date.now() + ms, remaining: null, tag };
+        setTimeLeft(Math.ceil(seconds));
+        if (paused) halt();
+        else run();
+    }, [run]);
+
+    const stop = useCallback(() => {
+        halt();
+        clockRef.current = null;
+    }, []);
+
+    const pause = useCallback(() => {
+        const clock = clockRef.current;
+        if (!clock || clock.deadline === null) return;
+        halt();
+        clockRef.current = { ...clock, deadline: null, remaining: Math.max(0, clock.deadline - Date.now()) };
+    }, []);
+
+    const resume = useCallback(() => {
+        const clock = clockRef.current;
+        if (!clock || clock.deadline !== null) return;
+        clockRef.current = { ...clock, deadline: Date.now() + clock.remaining, remaining: null };
+        run();
+    }, [run]);
+
+    // null when no clock is set
+    const remainingMs = useCallback(() => {
+        const clock = clockRef.current;
+        if (!clock) return null;
+        return clock.deadline === null ? clock.remaining : Math.max(0, clock.deadline - Date.now());
+    }, []);
+
+    const currentTag = useCallback(() => clockRef.current?.tag ?? null, []);
+
+    useEffect(() => halt, []);
+
+    return { timeLeft, start, stop, pause, resume, remainingMs, currentTag };
+};